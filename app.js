@@ -5,10 +5,6 @@
 
 // ===== Configuration =====
 const CONFIG = {
-    // Standard Celeration Chart Y-axis range (logarithmic)
-    yMin: 0.001,
-    yMax: 1000,
-
     // X-axis range (calendar days) - this will be dynamic based on zoom
     xMin: 0,
     xMax: 140,
@@ -16,38 +12,83 @@ const CONFIG = {
     // Chart margins
     margin: { top: 60, right: 80, bottom: 60, left: 80 },
 
-    // Grid lines for log scale (count per minute values)
-    // Original SCC is 6-cycle semi-log paper with lines at 1-9 within each decade
-    logGridLines: [
-        // Decade 0.001
-        0.001, 0.002, 0.003, 0.004, 0.005, 0.006, 0.007, 0.008, 0.009,
-        // Decade 0.01
-        0.01, 0.02, 0.03, 0.04, 0.05, 0.06, 0.07, 0.08, 0.09,
-        // Decade 0.1
-        0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9,
-        // Decade 1
-        1, 2, 3, 4, 5, 6, 7, 8, 9,
-        // Decade 10
-        10, 20, 30, 40, 50, 60, 70, 80, 90,
-        // Decade 100
-        100, 200, 300, 400, 500, 600, 700, 800, 900,
-        // Top
-        1000
-    ],
-    // Major lines are at powers of 10 (decade markers)
-    majorLogLines: [0.001, 0.01, 0.1, 1, 10, 100, 1000],
-    // Mid-decade lines for labels
-    midLogLines: [0.005, 0.05, 0.5, 5, 50, 500],
+    // Panels under the SCC (linear metrics, error composition): share of the
+    // plot height each, the gap left for the SCC's x-axis labels, and the gap between panels
+    linearPanel: { heightRatio: 0.25, gap: 48, innerGap: 16 },
+    // Linear metrics and their fixed scales; both split into five gridline steps
+    linearMetrics: {
+        accuracy: { min: 0, max: 100, step: 20, axisLabel: 'ACCURACY %', side: 'left' },
+        prosody: { min: 0, max: 5, step: 1, axisLabel: 'PROSODY', side: 'right' }
+    },
+
+    // Paper mode: the printed Daily Standard Celeration Chart. A ×2 per week
+    // celeration line rises at celerationAngle degrees, which fixes the plot's aspect ratio.
+    paper: {
+        days: 140,
+        celerationAngle: 33.69,
+        margin: { top: 84, right: 110, bottom: 130, left: 80 }
+    },
 
     // Week markers
     weekDays: 7,
 
-    // Zoom presets (in days)
-    zoomLevels: {
-        7: { label: '1 Week', days: 7, weekInterval: 1, dayInterval: 1 },
-        30: { label: '1 Month', days: 30, weekInterval: 1, dayInterval: 7 },
-        90: { label: '3 Months', days: 90, weekInterval: 2, dayInterval: 14 },
-        140: { label: 'Full', days: 140, weekInterval: 4, dayInterval: 14 }
+    // Narrowest view for wheel/pinch zoom (in chart units: days on the Daily chart)
+    minZoomDays: 3,
+
+    // Most unit (bottom) and group (top) labels before a wider spacing is picked
+    maxDayLabels: 12,
+    maxWeekLabels: 10,
+
+    // The four standard charts. All are 6-cycle semi-log paper; the x-axis is
+    // always measured in days so zoom, pan, phases and selections share one
+    // scale, with `unitDays` per plotted period and `groupDays` per top label.
+    //   days            full chart span
+    //   yMin/yMax       count per unit range
+    //   celerationDays  period celeration is expressed per
+    //   unitIntervals / groupIntervals: candidate label spacings, in units/groups;
+    //                   the smallest that keeps labels readable wins
+    //   zoomLevels      preset buttons, keyed by days
+    chartTypes: {
+        daily: {
+            label: 'Daily', unit: 'day', unitDays: 1, groupDays: 7, days: 140,
+            yMin: 0.001, yMax: 1000,
+            countLabel: 'COUNT PER MINUTE', groupLabel: 'SUCCESSIVE CALENDAR WEEKS',
+            unitLabel: 'SUCCESSIVE CALENDAR DAYS',
+            celerationDays: 7, celerationUnit: 'week',
+            unitIntervals: [1, 2, 7, 14, 28, 56, 91, 182, 364],
+            groupIntervals: [1, 2, 4, 8, 13, 26, 52],
+            zoomLevels: { 7: '1 Week', 30: '1 Month', 90: '3 Months', 140: 'Full' }
+        },
+        weekly: {
+            label: 'Weekly', unit: 'week', unitDays: 7, groupDays: 30.4375, days: 700,
+            yMin: 1, yMax: 1000000,
+            countLabel: 'COUNT PER WEEK', groupLabel: 'SUCCESSIVE CALENDAR MONTHS',
+            unitLabel: 'SUCCESSIVE CALENDAR WEEKS',
+            celerationDays: 30.4375, celerationUnit: 'month',
+            unitIntervals: [1, 2, 4, 8, 13, 26, 52],
+            groupIntervals: [1, 2, 3, 6, 12],
+            zoomLevels: { 91: '13 Weeks', 182: '26 Weeks', 364: '1 Year', 700: 'Full' }
+        },
+        monthly: {
+            label: 'Monthly', unit: 'month', unitDays: 30.4375, groupDays: 365.25, days: 3652.5,
+            yMin: 1, yMax: 1000000,
+            countLabel: 'COUNT PER MONTH', groupLabel: 'SUCCESSIVE CALENDAR YEARS',
+            unitLabel: 'SUCCESSIVE CALENDAR MONTHS',
+            celerationDays: 365.25, celerationUnit: 'year',
+            unitIntervals: [1, 2, 3, 6, 12, 24],
+            groupIntervals: [1, 2, 5, 10],
+            zoomLevels: { 365.25: '1 Year', 1826.25: '5 Years', 3652.5: 'Full' }
+        },
+        yearly: {
+            label: 'Yearly', unit: 'year', unitDays: 365.25, groupDays: 3652.5, days: 18262.5,
+            yMin: 1, yMax: 1000000,
+            countLabel: 'COUNT PER YEAR', groupLabel: 'SUCCESSIVE DECADES',
+            unitLabel: 'SUCCESSIVE CALENDAR YEARS',
+            celerationDays: 365.25, celerationUnit: 'year',
+            unitIntervals: [1, 2, 5, 10, 20],
+            groupIntervals: [1, 2, 5],
+            zoomLevels: { 3652.5: '10 Years', 18262.5: 'Full' }
+        }
     },
 
     // Vintage Scientific Instrument color palette
@@ -86,7 +127,14 @@ const CONFIG = {
         errorsPerMinute: '#9d4444',
         wpm: '#4a6fa5',
         accuracy: '#7b5ea7',
-        prosody: '#b07d3d'
+        prosody: '#b07d3d',
+        // Error subtypes, and errors not put down to one
+        otherErrors: '#a39e93',
+        skippedPerMinute: '#b5652b',
+        misreadPerMinute: '#8b2942',
+        substitutedPerMinute: '#2f6f8f',
+        hesitationsPerMinute: '#8a7a2a',
+        repeatedPerMinute: '#5c5470'
     },
 
     // Data point symbols
@@ -106,8 +154,19 @@ const state = {
         showCelerationLines: true,
         showDataPoints: true,
         showRecordFloor: false,
-        connectPoints: true
+        connectPoints: true,
+        showBounce: true,
+        showErrorComposition: false,
+        fitMethod: 'leastSquares',
+        chartType: 'daily',
+        // 'relative': each student's first timing is day 0; 'calendar': day 0 is alignStart (a Sunday, ISO date; '' = automatic)
+        alignment: 'relative',
+        alignStart: '',
+        paperMode: false,
+        paperSize: 'letter'
     },
+    // Header/footer blanks of the paper chart (see PAPER_FIELDS)
+    paperFields: {},
     zoom: 140, // Current zoom level in days (Full view by default)
     panOffset: 0, // Starting day for the current view (for panning)
     maxDataDay: 140, // Maximum day with data (updated when data loads)
@@ -117,16 +176,29 @@ const state = {
     isDragging: false,
     dragStartX: 0,
     dragStartOffset: 0,
+    pointerDownX: null,
+    pinch: null, // { distance, zoom, anchorDay } while a two-finger pinch is active
+    csvWizard: null, // { fileName, headers, rows, resolve } while the column-mapping dialog is open
+    editingTiming: null, // { dataSetId, assessmentId } while a manual timing is being edited
+    pendingChanges: [], // Changed assessments from re-imports awaiting review (see Merging Re-imports)
     // Range selection state
-    isSelecting: false,
-    selectionStartX: 0,
-    selectionEndX: 0,
+    isSelecting: false, // Shift-drag in progress
+    hasSelection: false, // A finished selection is shown
     selectionStartDay: 0,
     selectionEndDay: 0,
     // Subject data organization
     subjects: {}, // { category: { subcategory: [dataSetIds] } }
     dataSets: {}, // { dataSetId: { subject, student, assessments, active, color } }
-    activeDataSets: [] // List of active dataSet IDs to display
+    activeDataSets: [], // List of active dataSet IDs to display
+    rules: [], // Decision rules (see RULE_TYPES)
+    rosterSort: { key: 'alerts', descending: true },
+    // Workspaces (see Workspaces section)
+    workspaceId: null,
+    workspaces: [], // [{ id, name, updatedAt }]
+    workspaceReady: false, // Autosave stays off until the saved workspace is restored
+    autosaveTimer: null,
+    savingWorkspace: 0, // Saves in flight
+    saveFailed: false // Set after a failed save so the user is told once
 };
 
 // Subject color palette
@@ -148,13 +220,23 @@ const ASSESSMENT_TREE = {
 window.processStudentData = processStudentData;
 window.state = state;
 window.CONFIG = CONFIG;
+window.setZoom = setZoom;
 
 // ===== Initialization =====
 document.addEventListener('DOMContentLoaded', () => {
+    state.rules = loadRules();
+    renderRuleTypeOptions();
     initCanvas();
     initEventListeners();
     initCollapsibleSections();
     updateSubjectTree(); // Show empty tree structure on load
+    updatePhasePanel();
+    updateAimPanel();
+    updateSameDayPanel();
+    updateAimForm();
+    updateRulesEditor();
+    updateTimingPanel();
+    renderPaperForm();
     drawChart();
     updatePanInfo();
     updatePanButtons();
@@ -163,6 +245,8 @@ document.addEventListener('DOMContentLoaded', () => {
     document.fonts.ready.then(() => {
         drawChart();
     });
+
+    workspacesRestored = initWorkspaces();
 });
 
 // ===== Collapsible Sections =====
@@ -216,26 +300,24 @@ function initEventListeners() {
     chartWrapper.addEventListener('dragleave', () => {
         chartWrapper.classList.remove('dragover');
     });
-    chartWrapper.addEventListener('drop', (e) => {
+    chartWrapper.addEventListener('drop', async (e) => {
         e.preventDefault();
         chartWrapper.classList.remove('dragover');
-        const file = e.dataTransfer.files[0];
-        if (file && file.type === 'application/json') {
-            loadFile(file);
+        let dropped;
+        try {
+            dropped = await getDroppedFiles(e.dataTransfer);
+        } catch (err) {
+            console.error('Error reading dropped files:', err);
+            dropped = { files: [], failures: [{ path: 'Dropped items', error: err }] };
+        }
+        if (dropped.files.length > 0 || dropped.failures.length > 0) {
+            loadFiles(dropped.files, dropped.failures);
         }
     });
 
-    // Zoom controls
-    document.querySelectorAll('.zoom-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const zoomDays = parseInt(btn.dataset.zoom);
-            setZoom(zoomDays);
-
-            // Update active state
-            document.querySelectorAll('.zoom-btn').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-        });
-    });
+    // Chart type and its zoom presets
+    document.getElementById('chartType').addEventListener('change', (e) => setChartType(e.target.value));
+    renderZoomButtons();
 
     // Metric toggles
     document.querySelectorAll('.metric-toggles .toggle-item').forEach(item => {
@@ -276,11 +358,86 @@ function initEventListeners() {
         drawChart();
     });
 
+    document.getElementById('showBounce').addEventListener('change', (e) => {
+        state.displayOptions.showBounce = e.target.checked;
+        drawChart();
+    });
+
+    document.getElementById('showErrorComposition').addEventListener('change', (e) => {
+        state.displayOptions.showErrorComposition = e.target.checked;
+        drawChart();
+    });
+
+    document.getElementById('alignment').addEventListener('change', (e) => setAlignment(e.target.value));
+    document.getElementById('alignStart').addEventListener('change', (e) => setAlignStart(e.target.value));
+
+    document.getElementById('paperMode').addEventListener('change', (e) => setPaperMode(e.target.checked));
+    document.getElementById('paperSize').addEventListener('change', (e) => {
+        state.displayOptions.paperSize = e.target.value;
+        drawChart();
+    });
+    document.getElementById('printPaperBtn').addEventListener('click', printPaperChart);
+
+    document.getElementById('fitMethod').addEventListener('change', (e) => {
+        state.displayOptions.fitMethod = e.target.value;
+        updateSubjectTree();
+        drawChart();
+        updateStats();
+        updatePatternsPanel();
+        updateChartSubtitle();
+    });
+
+    // Phase changes
+    document.getElementById('phaseDataSet').addEventListener('change', updatePhasePanel);
+
+    // Same-day timings
+    document.getElementById('sameDayDataSet').addEventListener('change', updateSameDayPanel);
+    document.getElementById('sameDayMode').addEventListener('change', (e) => {
+        setSameDayMode(document.getElementById('sameDayDataSet').value, e.target.value);
+    });
+    document.getElementById('addPhaseBtn').addEventListener('click', () => {
+        const dataSetId = document.getElementById('phaseDataSet').value;
+        const date = document.getElementById('phaseDate').value;
+        const label = document.getElementById('phaseLabel').value.trim();
+        if (!dataSetId || !date) {
+            alert('Choose a data set and a date for the phase change.');
+            return;
+        }
+        addPhase(dataSetId, date, label);
+        document.getElementById('phaseLabel').value = '';
+    });
+
+    // Aims
+    document.getElementById('aimDataSet').addEventListener('change', updateAimPanel);
+    document.getElementById('aimType').addEventListener('change', updateAimForm);
+    document.getElementById('addAimBtn').addEventListener('click', () => {
+        const dataSetId = document.getElementById('aimDataSet').value;
+        const aim = readAimForm();
+        if (!dataSetId) {
+            alert('Choose a data set for the aim.');
+            return;
+        }
+        if (typeof aim === 'string') {
+            alert(aim);
+            return;
+        }
+        addAim(dataSetId, aim);
+    });
+
     // Pattern detection toggle
-    document.getElementById('showDeclinePatterns')?.addEventListener('change', () => {
+    document.getElementById('showRuleAlerts')?.addEventListener('change', () => {
+        updatePatternsPanel();
+    });
+    document.getElementById('showLearningPictures')?.addEventListener('change', () => {
         updatePatternsPanel();
     });
 
+    // Decision rules
+    document.getElementById('addRuleBtn').addEventListener('click', () => {
+        addRule(document.getElementById('newRuleType').value);
+    });
+    document.getElementById('resetRulesBtn').addEventListener('click', resetRules);
+
     // Mouse interaction for tooltips
     state.canvas.addEventListener('mousemove', handleMouseMove);
     state.canvas.addEventListener('mouseleave', () => {
@@ -288,21 +445,90 @@ function initEventListeners() {
         tooltip.classList.remove('visible');
     });
 
+    // Clicking a point opens its assessment in the detail drawer
+    state.canvas.addEventListener('click', handleChartClick);
+
     // Modal close
-    document.getElementById('closeModal').addEventListener('click', () => {
-        document.getElementById('infoModal').hidden = true;
+    document.getElementById('closeModal').addEventListener('click', closeAssessmentDetail);
+    document.getElementById('infoModal').addEventListener('click', (e) => {
+        if (e.target.id === 'infoModal') closeAssessmentDetail();
+    });
+
+    document.getElementById('closeImport').addEventListener('click', () => {
+        document.getElementById('importModal').hidden = true;
+    });
+
+    // Re-import review
+    document.getElementById('acceptMergeBtn').addEventListener('click', () => resolvePendingChanges(true));
+    document.getElementById('declineMergeBtn').addEventListener('click', () => resolvePendingChanges(false));
+    document.getElementById('closeMerge').addEventListener('click', () => resolvePendingChanges(false));
+    document.getElementById('historyDataSet').addEventListener('change', updateHistoryPanel);
+
+    // Workspaces
+    document.getElementById('workspaceSelect').addEventListener('change', (e) => switchWorkspace(e.target.value));
+    document.getElementById('newWorkspaceBtn').addEventListener('click', createWorkspace);
+    document.getElementById('renameWorkspaceBtn').addEventListener('click', renameWorkspace);
+    document.getElementById('deleteWorkspaceBtn').addEventListener('click', deleteWorkspace);
+    // Data and option changes are saved; pan and zoom ride along and are saved when the page is hidden
+    document.querySelector('.dashboard-main').addEventListener('change', scheduleAutosave);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushAutosave();
+    });
+    // The browser will not wait for an IndexedDB write, so start it and ask the user to stay
+    window.addEventListener('beforeunload', (e) => {
+        if (!state.autosaveTimer && state.savingWorkspace === 0) return;
+        flushAutosave();
+        e.preventDefault();
+        e.returnValue = '';
+    });
+
+    // Project files
+    const projectInput = document.getElementById('projectInput');
+    document.getElementById('exportProjectBtn').addEventListener('click', exportProject);
+    document.getElementById('openProjectBtn').addEventListener('click', () => projectInput.click());
+    projectInput.addEventListener('change', handleFileUpload);
+
+    // Manual timings
+    document.getElementById('addTimingBtn').addEventListener('click', saveManualTiming);
+    document.getElementById('cancelTimingBtn').addEventListener('click', cancelTimingEdit);
+
+    // Spreadsheet column mapping
+    document.getElementById('csvImportBtn').addEventListener('click', () => finishCsvWizard(true));
+    document.getElementById('csvCancelBtn').addEventListener('click', () => finishCsvWizard(false));
+    document.getElementById('closeCsv').addEventListener('click', () => finishCsvWizard(false));
+
+    // Class roster
+    document.getElementById('rosterBtn').addEventListener('click', openRoster);
+    document.getElementById('closeRoster').addEventListener('click', () => {
+        document.getElementById('rosterModal').hidden = true;
+    });
+
+    // Chart export
+    document.querySelectorAll('[data-export]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            exportChart(btn.dataset.export);
+            btn.closest('details').open = false;
+        });
     });
 
     // Pan controls
     document.getElementById('panLeft').addEventListener('click', () => panChart(-1));
     document.getElementById('panRight').addEventListener('click', () => panChart(1));
 
+    // Range selection actions
+    document.getElementById('zoomToSelection').addEventListener('click', zoomToSelection);
+    document.getElementById('selectionToPhase').addEventListener('click', selectionToPhase);
+    document.getElementById('clearSelection').addEventListener('click', clearSelection);
+
     // Keyboard navigation for panning
     document.addEventListener('keydown', (e) => {
         // Only handle if not in an input field
-        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
 
-        if (e.key === 'ArrowLeft') {
+        if (e.key === 'Escape') {
+            closeAssessmentDetail();
+            clearSelection();
+        } else if (e.key === 'ArrowLeft') {
             e.preventDefault();
             panChart(-1);
         } else if (e.key === 'ArrowRight') {
@@ -311,16 +537,29 @@ function initEventListeners() {
         }
     });
 
-    // Drag to pan on chart (only when zoomed in, not in full view)
+    // Shift-drag selects a day range; plain drag pans (only when zoomed in, not in full view)
     state.canvas.addEventListener('mousedown', (e) => {
         const rect = state.canvas.getBoundingClientRect();
         const x = e.clientX - rect.left;
+        const layout = getChartLayout();
+        // A click that follows a drag is not a point click
+        state.pointerDownX = e.clientX;
 
         // Check if click is within chart area
-        if (x < CONFIG.margin.left || x > state.canvas.clientWidth - CONFIG.margin.right) return;
+        if (x < layout.left || x > layout.left + layout.chartWidth) return;
+
+        if (e.shiftKey) {
+            e.preventDefault();
+            state.isSelecting = true;
+            state.hasSelection = false;
+            state.selectionStartDay = xToDay(x);
+            state.selectionEndDay = state.selectionStartDay;
+            hideSelectionPanel();
+            return;
+        }
 
         // Only allow drag-to-pan when zoomed in (not full view)
-        if (state.zoom < 140) {
+        if (state.zoom < state.maxDataDay) {
             state.isDragging = true;
             state.dragStartX = e.clientX;
             state.dragStartOffset = state.panOffset;
@@ -329,22 +568,63 @@ function initEventListeners() {
     });
 
     document.addEventListener('mousemove', (e) => {
+        if (state.isSelecting) {
+            const rect = state.canvas.getBoundingClientRect();
+            state.selectionEndDay = xToDay(e.clientX - rect.left);
+            drawChart();
+            return;
+        }
+
         if (state.isDragging) {
-            const chartWidth = state.canvas.clientWidth - CONFIG.margin.left - CONFIG.margin.right;
+            const { chartWidth } = getChartLayout();
             const pixelsPerDay = chartWidth / state.zoom;
             const dragDelta = state.dragStartX - e.clientX;
-            const daysDelta = Math.round(dragDelta / pixelsPerDay);
+            const daysDelta = dragDelta / pixelsPerDay;
 
-            const newOffset = state.dragStartOffset + daysDelta;
-            const maxOffset = Math.max(0, state.maxDataDay - state.zoom);
-            state.panOffset = Math.max(0, Math.min(maxOffset, newOffset));
+            state.panOffset = clampPanOffset(state.dragStartOffset + daysDelta);
 
             drawChart();
             updatePanInfo();
+            updatePanButtons();
         }
     });
 
+    // Mouse wheel zooms around the cursor
+    state.canvas.addEventListener('wheel', (e) => {
+        const rect = state.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const layout = getChartLayout();
+        if (x < layout.left || x > layout.left + layout.chartWidth) return;
+
+        e.preventDefault();
+        zoomAround(xToDay(x), state.zoom * Math.exp(e.deltaY * 0.001));
+    }, { passive: false });
+
+    // Touch: one finger pans, two fingers pinch-zoom around their midpoint
+    state.canvas.addEventListener('touchstart', handleTouchStart, { passive: false });
+    state.canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
+    state.canvas.addEventListener('touchend', handleTouchEnd);
+    state.canvas.addEventListener('touchcancel', handleTouchEnd);
+
+    // Editable view range, in the chart's units
+    ['viewStart', 'viewEnd'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            const start = parseFloat(document.getElementById('viewStart').value);
+            const end = parseFloat(document.getElementById('viewEnd').value);
+            if (isNaN(start) || isNaN(end)) {
+                updatePanInfo();
+                return;
+            }
+            const { unitDays } = getChartType();
+            setViewRange(start * unitDays, end * unitDays);
+        });
+    });
+
     document.addEventListener('mouseup', () => {
+        if (state.isSelecting) {
+            finishSelection();
+        }
+
         if (state.isDragging) {
             state.isDragging = false;
             state.canvas.style.cursor = 'default';
@@ -352,36 +632,108 @@ function initEventListeners() {
     });
 }
 
+// Plot area within a width × height drawing. Paper mode fits the official
+// proportions inside the space left by its larger margins.
+function getChartLayout(width = state.canvas.clientWidth, height = state.canvas.clientHeight, paper = state.displayOptions.paperMode) {
+    if (!paper || getChartType() !== CONFIG.chartTypes.daily) {
+        const { margin, linearPanel } = CONFIG;
+        const plotHeight = height - margin.top - margin.bottom;
+        const layout = {
+            left: margin.left,
+            top: margin.top,
+            chartWidth: width - margin.left - margin.right,
+            chartHeight: plotHeight,
+            paper: false,
+            panel: null,
+            errorPanel: null
+        };
+
+        // Accuracy and prosody get a linear panel below, on the same x-axis,
+        // followed by the error composition panel
+        const panels = [];
+        if (getLinearMetrics().length > 0) panels.push('panel');
+        if (hasErrorComposition()) panels.push('errorPanel');
+        if (panels.length === 0) return layout;
+
+        const panelHeight = Math.round(plotHeight * linearPanel.heightRatio);
+        layout.chartHeight = plotHeight - linearPanel.gap - panels.length * panelHeight -
+            (panels.length - 1) * linearPanel.innerGap;
+
+        let top = margin.top + layout.chartHeight + linearPanel.gap;
+        panels.forEach(key => {
+            layout[key] = { top, height: panelHeight };
+            top += panelHeight + linearPanel.innerGap;
+        });
+        return layout;
+    }
+
+    const { margin } = CONFIG.paper;
+    const availableWidth = width - margin.left - margin.right;
+    const availableHeight = height - margin.top - margin.bottom;
+    const aspect = getPaperAspect();
+    const chartWidth = Math.max(0, Math.min(availableWidth, availableHeight * aspect));
+    const chartHeight = chartWidth / aspect;
+
+    return {
+        left: margin.left + (availableWidth - chartWidth) / 2,
+        top: margin.top + (availableHeight - chartHeight) / 2,
+        chartWidth,
+        chartHeight,
+        paper: true,
+        panel: null,
+        errorPanel: null
+    };
+}
+
+// Width/height of the paper plot area: pixels per decade over pixels per day is
+// chosen so that doubling in 7 days rises at CONFIG.paper.celerationAngle
+function getPaperAspect() {
+    const { days, celerationAngle } = CONFIG.paper;
+    const { yMin, yMax } = CONFIG.chartTypes.daily;
+    const decades = Math.log10(yMax / yMin);
+    const decadePerDay = 7 * Math.tan(celerationAngle * Math.PI / 180) / Math.log10(2);
+    return days / (decades * decadePerDay);
+}
+
 // Convert x coordinate to day number
 function xToDay(x) {
-    const chartWidth = state.canvas.clientWidth - CONFIG.margin.left - CONFIG.margin.right;
-    const relativeX = x - CONFIG.margin.left;
+    const { left, chartWidth } = getChartLayout();
+    const relativeX = x - left;
     const day = (relativeX / chartWidth) * state.zoom + state.panOffset;
     return Math.max(0, Math.min(state.maxDataDay, day));
 }
 
+// Convert day number to x coordinate (inverse of xToDay)
+function dayToCanvasX(day) {
+    const { left, chartWidth } = getChartLayout();
+    return left + chartDayToX(day, chartWidth);
+}
+
 // Draw selection overlay
 function drawSelectionOverlay() {
-    if (!state.isSelecting) return;
+    if (!state.isSelecting && !state.hasSelection) return;
 
-    const { ctx, canvas } = state;
-    const { margin } = CONFIG;
-    const chartHeight = canvas.clientHeight - margin.top - margin.bottom;
+    const { ctx } = state;
+    const { top, chartHeight: sccHeight, panel, errorPanel } = getChartLayout();
+    // The selection spans the panels below too
+    const lastPanel = errorPanel || panel;
+    const chartHeight = lastPanel ? lastPanel.top + lastPanel.height - top : sccHeight;
 
-    const startX = Math.min(state.selectionStartX, state.selectionEndX);
-    const endX = Math.max(state.selectionStartX, state.selectionEndX);
+    // Positions come from the selected days so the overlay follows pan and zoom
+    const startX = dayToCanvasX(Math.min(state.selectionStartDay, state.selectionEndDay));
+    const endX = dayToCanvasX(Math.max(state.selectionStartDay, state.selectionEndDay));
     const width = endX - startX;
 
     // Draw selection rectangle
     ctx.save();
     ctx.fillStyle = 'rgba(196, 163, 90, 0.2)'; // brass with transparency
-    ctx.fillRect(startX, margin.top, width, chartHeight);
+    ctx.fillRect(startX, top, width, chartHeight);
 
     // Draw selection borders
     ctx.strokeStyle = CONFIG.colors.brass;
     ctx.lineWidth = 2;
     ctx.setLineDash([5, 3]);
-    ctx.strokeRect(startX, margin.top, width, chartHeight);
+    ctx.strokeRect(startX, top, width, chartHeight);
     ctx.setLineDash([]);
 
     // Draw day labels
@@ -393,21 +745,157 @@ function drawSelectionOverlay() {
     ctx.textAlign = 'center';
 
     // Start day label
-    ctx.fillText(`Day ${Math.floor(startDay)}`, startX, margin.top - 8);
+    ctx.fillText(`Day ${Math.floor(startDay)}`, startX, top - 8);
     // End day label
-    ctx.fillText(`Day ${Math.ceil(endDay)}`, endX, margin.top - 8);
+    ctx.fillText(`Day ${Math.ceil(endDay)}`, endX, top - 8);
 
     ctx.restore();
 }
 
+// ===== Range Selection =====
+function getSelectionRange() {
+    return {
+        startDay: Math.min(state.selectionStartDay, state.selectionEndDay),
+        endDay: Math.max(state.selectionStartDay, state.selectionEndDay)
+    };
+}
+
+function finishSelection() {
+    state.isSelecting = false;
+    const { startDay, endDay } = getSelectionRange();
+
+    // A click without a real drag clears instead of selecting
+    state.hasSelection = endDay - startDay >= 1;
+    drawChart();
+
+    if (state.hasSelection) {
+        showSelectionPanel();
+    } else {
+        hideSelectionPanel();
+    }
+}
+
+function clearSelection() {
+    state.isSelecting = false;
+    state.hasSelection = false;
+    hideSelectionPanel();
+    drawChart();
+}
+
+// Interval statistics for every visible series inside the selected days
+function getSelectionStats() {
+    const { startDay, endDay } = getSelectionRange();
+    const rows = [];
+
+    state.activeStudents.forEach(studentId => {
+        const student = state.students.find(s => s.id === studentId);
+        if (!student) return;
+
+        const minDay = getChartOrigin(student);
+
+        state.activeMetrics.forEach(metric => {
+            const points = getChartPoints(student, metric).filter(p =>
+                p.day - minDay >= startDay && p.day - minDay <= endDay
+            );
+            const values = points.map(p => p.value);
+            const validPoints = points.filter(p => p.value > 0);
+            const fit = validPoints.length >= 2 && !isLinearMetric(metric) ?
+                fitCeleration(validPoints, undefined, 'day', getChartType().celerationDays) : null;
+
+            rows.push({
+                studentName: getSeriesName(student),
+                metric,
+                count: points.length,
+                mean: values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : NaN,
+                median: median(values),
+                celeration: fit ? fit.celeration : NaN,
+                bounce: fit ? measureBounce(validPoints, fit).total : NaN
+            });
+        });
+    });
+
+    return rows;
+}
+
+function showSelectionPanel() {
+    const panel = document.getElementById('selectionPanel');
+    const { startDay, endDay } = getSelectionRange();
+    const rows = getSelectionStats();
+    const format = (value) => isFinite(value) ? value.toFixed(2) : '—';
+
+    document.getElementById('selectionStats').innerHTML = `
+        <div class="selection-title">Days ${Math.floor(startDay)}–${Math.ceil(endDay)}</div>
+        ${rows.length === 0 ? '<p class="empty-state">No visible series</p>' : `
+        <table class="selection-table">
+            <thead>
+                <tr><th>Series</th><th>n</th><th>Mean</th><th>Median</th><th>Celeration</th><th>Bounce</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        <td style="color: ${CONFIG.metricColors[row.metric]}">
+                            ${escapeHtml(row.studentName)} · ${getMetricLabel(row.metric)}
+                        </td>
+                        <td>${row.count}</td>
+                        <td>${format(row.mean)}</td>
+                        <td>${format(row.median)}</td>
+                        <td>${formatCeleration(row.celeration)}</td>
+                        <td>${formatBounce(row.bounce)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        `}
+    `;
+    panel.hidden = false;
+}
+
+function hideSelectionPanel() {
+    document.getElementById('selectionPanel').hidden = true;
+}
+
+function zoomToSelection() {
+    const { startDay, endDay } = getSelectionRange();
+    setViewRange(Math.floor(startDay), Math.ceil(endDay));
+}
+
+// Start a phase at the selection for every data set on the chart. If timings
+// continue after the selection, a second line closes the phase there.
+function selectionToPhase() {
+    const label = prompt('Condition label for this phase:', '');
+    if (label === null) return;
+
+    const { startDay, endDay } = getSelectionRange();
+
+    state.activeStudents.forEach(studentId => {
+        const student = state.students.find(s => s.id === studentId);
+        const dataSet = student && getStudentDataSet(student);
+        if (!dataSet) return;
+
+        const minDay = getChartOrigin(student);
+        const startCalendarDay = minDay + Math.floor(startDay);
+        const endCalendarDay = minDay + Math.ceil(endDay) + 1;
+        const lastDay = Math.max(...getDataPoints(dataSet, 'correctPerMinute').map(p => p.day));
+
+        insertPhase(dataSet, startCalendarDay, label.trim());
+        if (lastDay >= endCalendarDay) {
+            insertPhase(dataSet, endCalendarDay, '');
+        }
+    });
+
+    clearSelection();
+    updatePhasePanel();
+    updateSubjectTree();
+    drawChart();
+    updateStats();
+    updatePatternsPanel();
+}
+
 // ===== Pan Functions =====
 function panChart(direction) {
     // direction: -1 for left (earlier), +1 for right (later)
     const panStep = getPanStep();
-    const newOffset = state.panOffset + (direction * panStep);
-    const maxOffset = Math.max(0, state.maxDataDay - state.zoom);
-
-    state.panOffset = Math.max(0, Math.min(maxOffset, newOffset));
+    state.panOffset = clampPanOffset(state.panOffset + (direction * panStep));
 
     drawChart();
     updatePanInfo();
@@ -415,18 +903,30 @@ function panChart(direction) {
 }
 
 function getPanStep() {
-    // Pan step based on zoom level
-    if (state.zoom <= 7) return 1; // 1 day for week view
-    if (state.zoom <= 30) return 7; // 1 week for month view
-    if (state.zoom <= 90) return 14; // 2 weeks for quarter view
-    return 30; // 1 month for full view
+    // A quarter of the visible span, in whole days
+    return Math.max(1, Math.round(state.zoom / 4));
+}
+
+// Keep the view inside [0, maxDataDay]
+function clampPanOffset(offset) {
+    const maxOffset = Math.max(0, state.maxDataDay - state.zoom);
+    return Math.max(0, Math.min(maxOffset, offset));
 }
 
 function updatePanInfo() {
-    const panInfo = document.getElementById('panInfo');
-    const startDay = state.panOffset;
-    const endDay = Math.min(state.panOffset + state.zoom, state.maxDataDay);
-    panInfo.textContent = `Days ${startDay}-${endDay}`;
+    const startInput = document.getElementById('viewStart');
+    const endInput = document.getElementById('viewEnd');
+    const { unit, unitDays } = getChartType();
+    const startUnit = Math.round(state.panOffset / unitDays);
+    const endUnit = Math.round(Math.min(state.panOffset + state.zoom, state.maxDataDay) / unitDays);
+    const maxUnit = Math.round(state.maxDataDay / unitDays);
+
+    // Don't overwrite a value the user is typing
+    if (document.activeElement !== startInput) startInput.value = startUnit;
+    if (document.activeElement !== endInput) endInput.value = endUnit;
+    startInput.max = maxUnit;
+    endInput.max = maxUnit;
+    document.getElementById('viewUnit').textContent = `${capitalize(unit)}s`;
 }
 
 function updatePanButtons() {
@@ -439,935 +939,4496 @@ function updatePanButtons() {
 }
 
 // ===== Zoom Functions =====
+// Paper mode always shows the chart's full 140 days
+function clampZoom(days) {
+    const type = getChartType();
+    if (state.displayOptions.paperMode && type === CONFIG.chartTypes.daily) return CONFIG.paper.days;
+    return Math.max(CONFIG.minZoomDays * type.unitDays, Math.min(state.maxDataDay, days));
+}
+
 function setZoom(days) {
-    state.zoom = days;
+    state.zoom = clampZoom(days);
     // Reset pan offset when changing zoom, but keep it valid
-    const maxOffset = Math.max(0, state.maxDataDay - state.zoom);
-    state.panOffset = Math.min(state.panOffset, maxOffset);
+    state.panOffset = clampPanOffset(state.panOffset);
+
+    drawChart();
+    updateZoomButtons();
+    updateChartSubtitle();
+    updatePanInfo();
+    updatePanButtons();
+}
+
+// Zoom to `days` while keeping `anchorDay` at the same screen position
+function zoomAround(anchorDay, days) {
+    const newZoom = clampZoom(days);
+    const ratio = newZoom / state.zoom;
+
+    state.panOffset = anchorDay - (anchorDay - state.panOffset) * ratio;
+    state.zoom = newZoom;
+    state.panOffset = clampPanOffset(state.panOffset);
+
+    drawChart();
+    updateZoomButtons();
+    updateChartSubtitle();
+    updatePanInfo();
+    updatePanButtons();
+}
+
+// Show an arbitrary day range
+function setViewRange(startDay, endDay) {
+    const start = Math.max(0, Math.min(startDay, endDay));
+    const end = Math.min(state.maxDataDay, Math.max(startDay, endDay));
+
+    state.zoom = clampZoom(end - start);
+    state.panOffset = clampPanOffset(start);
 
     drawChart();
+    updateZoomButtons();
     updateChartSubtitle();
     updatePanInfo();
     updatePanButtons();
 }
 
+function updateZoomButtons() {
+    document.querySelectorAll('.zoom-btn[data-zoom]').forEach(btn => {
+        btn.classList.toggle('active', parseFloat(btn.dataset.zoom) === state.zoom);
+    });
+}
+
+// Preset buttons for the current chart type
+function renderZoomButtons() {
+    const { zoomLevels } = getChartType();
+    document.getElementById('zoomButtons').innerHTML = Object.entries(zoomLevels).map(([days, label]) => `
+        <button class="zoom-btn" data-zoom="${days}" onclick="setZoom(${days})">${label}</button>
+    `).join('');
+    updateZoomButtons();
+}
+
 function getZoomConfig() {
-    return CONFIG.zoomLevels[state.zoom] || CONFIG.zoomLevels[140];
+    const preset = getChartType().zoomLevels[state.zoom];
+    return {
+        label: preset || 'Custom',
+        days: state.zoom,
+        ...getAxisIntervals(state.zoom)
+    };
+}
+
+// Grid and label spacing for any visible span, in units and groups of the chart type
+function getAxisIntervals(days, type = getChartType()) {
+    const units = days / type.unitDays;
+    const groups = days / type.groupDays;
+    const unitInterval = type.unitIntervals.find(interval => units / interval <= CONFIG.maxDayLabels) ||
+        type.unitIntervals[type.unitIntervals.length - 1];
+    const groupInterval = type.groupIntervals.find(interval => groups / interval <= CONFIG.maxWeekLabels) ||
+        type.groupIntervals[type.groupIntervals.length - 1];
+
+    return { unitInterval, groupInterval };
 }
 
 function updateChartSubtitle() {
     const subtitle = document.getElementById('chartSubtitle');
     const zoomConfig = getZoomConfig();
-    subtitle.textContent = `View: ${zoomConfig.label} (${state.zoom} days)`;
+    const type = getChartType();
+    const units = Math.round(state.zoom / type.unitDays);
+    subtitle.textContent = `${type.label} chart · View: ${zoomConfig.label} (${units} ${type.unit}s) · ` +
+        `Celeration per ${type.celerationUnit} · Fit: ${getFitMethodLabel()}`;
+}
+
+// ===== Chart Types =====
+function getChartType() {
+    return CONFIG.chartTypes[state.displayOptions.chartType] || CONFIG.chartTypes.daily;
+}
+
+// Switch between the Daily, Weekly, Monthly and Yearly charts, showing the full span.
+// Paper mode is Daily-only.
+function setChartType(key) {
+    state.displayOptions.chartType = key;
+    if (key !== 'daily' && state.displayOptions.paperMode) {
+        state.displayOptions.paperMode = false;
+        document.getElementById('paperMode').checked = false;
+    }
+    document.getElementById('chartType').value = key;
+
+    clearSelection();
+    updateMaxDataDay();
+    renderZoomButtons();
+    state.panOffset = 0;
+    setZoom(getChartType().days);
+    updateStats();
+    // Learning pictures are read per period of the chart type
+    updateSubjectTree();
+    updatePatternsPanel();
+}
+
+const COUNT_METRICS = ['correctPerMinute', 'errorsPerMinute', 'wpm',
+    'skippedPerMinute', 'misreadPerMinute', 'substitutedPerMinute', 'hesitationsPerMinute', 'repeatedPerMinute'];
+
+// Daily data points for the Daily chart; one point per week, month or year otherwise
+function getChartPoints(student, metric) {
+    const points = getDataPoints(student, metric);
+    const type = getChartType();
+    if (type.unitDays === 1) return points;
+    const origin = getChartOrigin(student);
+    const dataSet = getStudentDataSet(student);
+    return aggregatePoints(points, metric, type, origin, dataSet ? calendarDayToDate(dataSet, origin) : '');
+}
+
+// Roll timings up into periods counted from chart day 0 (`startDay`, dated `startDate`).
+// Frequencies become counts (frequency × counting time) summed over the
+// period; accuracy and prosody are averaged. Each period is plotted at its
+// start, `unitDays` apart, so it lines up with the chart's grid.
+function aggregatePoints(points, metric, type, startDay, startDate) {
+    const counted = COUNT_METRICS.includes(metric);
+    const periods = new Map();
+
+    points.forEach(point => {
+        const index = getPeriodIndex(point, type, startDay, startDate);
+        if (!periods.has(index)) periods.set(index, []);
+        periods.get(index).push(point);
+    });
+
+    return [...periods.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([index, periodPoints]) => {
+            const values = periodPoints.map(p => counted ? p.value * (p.countingTimeMin || 1) : p.value);
+            const total = values.reduce((sum, v) => sum + v, 0);
+
+            return {
+                day: startDay + index * type.unitDays,
+                value: counted ? total : total / values.length,
+                date: periodPoints[0].date,
+                period: `${capitalize(type.unit)} ${index}`,
+                timings: periodPoints.reduce((sum, p) => sum + (p.timings || 1), 0),
+                assessment: periodPoints[periodPoints.length - 1].assessment
+            };
+        });
+}
+
+// Months and years follow the calendar when timings are dated
+function getPeriodIndex(point, type, startDay, startDate) {
+    if (startDate && point.date && (type.unit === 'month' || type.unit === 'year')) {
+        const from = new Date(Date.parse(startDate));
+        const to = new Date(Date.parse(point.date));
+        const years = to.getUTCFullYear() - from.getUTCFullYear();
+        return type.unit === 'year' ? years : years * 12 + to.getUTCMonth() - from.getUTCMonth();
+    }
+    return Math.floor((point.day - startDay) / type.unitDays);
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// ===== Touch Gestures =====
+function getTouchCenterX(touches) {
+    const rect = state.canvas.getBoundingClientRect();
+    let sum = 0;
+    for (const touch of touches) sum += touch.clientX;
+    return sum / touches.length - rect.left;
+}
+
+function getTouchDistance(touches) {
+    return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+}
+
+function handleTouchStart(e) {
+    if (e.touches.length === 2) {
+        e.preventDefault();
+        state.pinch = {
+            distance: getTouchDistance(e.touches),
+            zoom: state.zoom,
+            anchorDay: xToDay(getTouchCenterX(e.touches))
+        };
+        state.isDragging = false;
+    } else if (e.touches.length === 1 && state.zoom < state.maxDataDay) {
+        // Only allow drag-to-pan when zoomed in, so the page still scrolls at full view
+        state.isDragging = true;
+        state.dragStartX = e.touches[0].clientX;
+        state.dragStartOffset = state.panOffset;
+    }
+}
+
+function handleTouchMove(e) {
+    if (e.touches.length === 2 && state.pinch) {
+        e.preventDefault();
+        const scale = state.pinch.distance / getTouchDistance(e.touches);
+        zoomAround(state.pinch.anchorDay, state.pinch.zoom * scale);
+    } else if (e.touches.length === 1 && state.isDragging) {
+        e.preventDefault();
+        const { chartWidth } = getChartLayout();
+        const daysDelta = (state.dragStartX - e.touches[0].clientX) / (chartWidth / state.zoom);
+
+        state.panOffset = clampPanOffset(state.dragStartOffset + daysDelta);
+        drawChart();
+        updatePanInfo();
+        updatePanButtons();
+    }
+}
+
+function handleTouchEnd(e) {
+    if (e.touches.length < 2) state.pinch = null;
+    if (e.touches.length === 0) state.isDragging = false;
 }
 
 // ===== File Handling =====
 function handleFileUpload(e) {
-    const file = e.target.files[0];
-    if (file) {
-        loadFile(file);
+    const files = Array.from(e.target.files).map(file => ({ file, path: file.name }));
+    if (files.length > 0) {
+        loadFiles(files);
     }
+    // Allow picking the same files again
+    e.target.value = '';
 }
 
 function loadFile(file) {
-    const reader = new FileReader();
-    reader.onload = (e) => {
+    loadFiles([{ file, path: file.name }]);
+}
+
+// Import a batch of { file, path } entries, refresh once, then report per file.
+// `failures` ({ path, error }) are entries that could not be read and are reported as rejected.
+async function loadFiles(files, failures = []) {
+    // Restoring the saved workspace would overwrite anything imported before it finishes
+    await workspacesRestored;
+
+    const results = failures.map(({ path, error }) => ({
+        path,
+        status: 'rejected',
+        reason: `Could not be read: ${error?.message || error}`
+    }));
+    for (const { file, path } of files) {
+        // Spreadsheets can hold several students, so a file may yield several results
+        let outcome;
         try {
-            const data = JSON.parse(e.target.result);
-            processStudentData(data);
+            outcome = await importFile(file);
         } catch (err) {
-            console.error('Error parsing JSON:', err);
-            alert('Invalid JSON file format');
+            console.error('Error importing file:', err);
+            outcome = { status: 'rejected', reason: `Could not be read: ${err.message}` };
         }
-    };
-    reader.readAsText(file);
+        [].concat(outcome).forEach(result => results.push({ path, ...result }));
+    }
+
+    if (results.some(r => r.status !== 'rejected')) {
+        refreshAfterImport();
+    }
+
+    // A single clean import needs no report
+    if (results.length > 1 || results.some(r => r.status === 'rejected' || r.quarantinedCount > 0)) {
+        showImportSummary(results);
+    }
+
+    showPendingChanges();
 }
 
-function processStudentData(data) {
-    // Check if it's the expected format
-    if (!data.student || !data.assessments) {
-        alert('Invalid data format. Expected student data export from Word Analyzer.');
-        return;
+async function importFile(file) {
+    if (isDelimitedFile(file)) {
+        return importCsvFile(file);
+    }
+    if (!isJsonFile(file)) {
+        return { status: 'rejected', reason: 'Not a JSON, CSV or TSV file' };
     }
 
-    // Extract category from data (e.g., "Oral Reading Fluency")
-    // This determines where in the tree it appears
-    const assessmentCategory = data.category || data.subject?.subcategory || 'Oral Reading Fluency';
+    let data;
+    try {
+        data = JSON.parse(await readFileText(file));
+    } catch (err) {
+        console.error('Error parsing JSON:', err);
+        return { status: 'rejected', reason: 'Invalid JSON file format' };
+    }
 
-    // Find which subject area this category belongs to
-    let subjectArea = 'Reading'; // default
-    for (const [area, categories] of Object.entries(ASSESSMENT_TREE)) {
-        if (categories.includes(assessmentCategory)) {
-            subjectArea = area;
-            break;
-        }
+    if (isProjectFile(data)) {
+        return openProject(data);
     }
+    return importStudentData(data, file.name);
+}
 
-    const category = subjectArea;
-    const subcategory = assessmentCategory;
+function isJsonFile(file) {
+    return file.type === 'application/json' || /\.json$/i.test(file.name);
+}
 
-    const studentId = data.student.id || `student-${Date.now()}`;
-    const dataSetId = `${studentId}-${category}-${subcategory}`.replace(/\s+/g, '-').toLowerCase();
+function isDelimitedFile(file) {
+    return ['text/csv', 'text/tab-separated-values'].includes(file.type) || /\.(csv|tsv)$/i.test(file.name);
+}
 
-    // Initialize subject hierarchy if needed
-    if (!state.subjects[category]) {
-        state.subjects[category] = {};
+function readFileText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+// Flatten dropped files and folders into { file, path } entries
+// Returns { files: [{ file, path }], failures: [{ path, error }] }
+async function getDroppedFiles(dataTransfer) {
+    // Entries must be taken before the first await; the list is cleared afterwards
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+        .filter(Boolean);
+
+    if (entries.length === 0) {
+        return { files: Array.from(dataTransfer.files).map(file => ({ file, path: file.name })), failures: [] };
     }
-    if (!state.subjects[category][subcategory]) {
-        state.subjects[category][subcategory] = [];
+
+    const files = [];
+    const failures = [];
+    for (const entry of entries) {
+        await collectEntryFiles(entry, files, failures);
     }
+    return { files, failures };
+}
 
-    // Get color for this data set
-    const colorPalette = SUBJECT_COLORS[category] || SUBJECT_COLORS['default'];
-    const colorIndex = state.subjects[category][subcategory].length % colorPalette.length;
-    const color = colorPalette[colorIndex];
+// An unreadable file or folder (e.g. permission denied) is recorded and skipped
+async function collectEntryFiles(entry, files, failures) {
+    const path = entry.fullPath.replace(/^\//, '');
+    try {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            files.push({ file, path });
+            return;
+        }
 
-    // Check if data set already exists
-    if (state.dataSets[dataSetId]) {
-        // Update existing data set
-        state.dataSets[dataSetId].assessments = data.assessments;
-        state.dataSets[dataSetId].summary = data.summary;
-    } else {
-        // Create new data set
-        state.dataSets[dataSetId] = {
-            id: dataSetId,
-            subject: { category, subcategory },
-            student: data.student,
-            assessments: data.assessments,
-            summary: data.summary,
-            color: color,
-            active: true
-        };
+        if (entry.isDirectory) {
+            const reader = entry.createReader();
+            // readEntries returns results in batches until it yields an empty list
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await collectEntryFiles(child, files, failures);
+                }
+            } while (batch.length > 0);
+        }
+    } catch (err) {
+        console.error(`Error reading ${path}:`, err);
+        failures.push({ path: entry.isDirectory ? `${path}/` : path, error: err });
+    }
+}
 
-        // Add to subject hierarchy
-        state.subjects[category][subcategory].push(dataSetId);
+function showImportSummary(results) {
+    const counts = { loaded: 0, updated: 0, rejected: 0 };
+    results.forEach(r => counts[r.status]++);
 
-        // Add to active data sets
-        state.activeDataSets.push(dataSetId);
+    const rows = results.map(r => {
+        let details;
+        if (r.status === 'rejected') {
+            details = r.problems?.length ? 'Invalid Word Analyzer export' : r.reason;
+        } else {
+            details = `${r.studentName} · ${r.assessmentCount} assessments`;
+            if (r.mergeSummary) details += ` · ${r.mergeSummary}`;
+            if (r.quarantinedCount > 0) details += ` · ${r.quarantinedCount} quarantined`;
+        }
+        return `
+            <tr>
+                <td>${escapeHtml(r.path)}</td>
+                <td><span class="import-status ${r.status}">${r.status}</span></td>
+                <td>${escapeHtml(details)}${renderImportProblems(r.problems || [])}</td>
+            </tr>
+        `;
+    }).join('');
+
+    document.getElementById('importBody').innerHTML = `
+        <p class="import-counts">${counts.loaded} loaded · ${counts.updated} updated · ${counts.rejected} rejected</p>
+        <table class="roster-table import-table">
+            <thead><tr><th>File</th><th>Result</th><th>Details</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    document.getElementById('importModal').hidden = false;
+}
+
+// ===== Export Validation =====
+const CURRENT_EXPORT_VERSION = '1.0';
+
+// Each step upgrades an export from one version to the next.
+// Exports written before meta.exportVersion existed count as version '0'.
+const EXPORT_MIGRATIONS = [
+    {
+        from: '0',
+        to: '1.0',
+        migrate: data => ({ ...data, meta: { ...data.meta, exportVersion: '1.0' } })
     }
+];
 
-    // Also maintain legacy students array for compatibility
-    const existingIndex = state.students.findIndex(s => s.id === studentId);
-    if (existingIndex !== -1) {
-        state.students[existingIndex] = {
-            ...state.students[existingIndex],
-            ...data.student,
-            assessments: data.assessments,
-            summary: data.summary
-        };
+// Versions are 'major.minor' strings; a bare major version (1 or '1') means 'major.0'
+function getExportVersion(data) {
+    const version = data.meta?.exportVersion;
+    if (version === undefined || version === null) return '0';
+
+    const text = String(version).trim();
+    if (/^\d+$/.test(text) && Number(text) > 0) return `${Number(text)}.0`;
+    return text;
+}
+
+function migrateExport(data) {
+    let version = getExportVersion(data);
+    let migrated = data;
+    let step;
+    while (version !== CURRENT_EXPORT_VERSION && (step = EXPORT_MIGRATIONS.find(m => m.from === version))) {
+        migrated = step.migrate(migrated);
+        version = step.to;
+    }
+    return { data: migrated, version };
+}
+
+// Push a problem unless obj[key] is a finite number within [min, max]
+function checkNumber(problems, obj, key, path, { required = false, min = 0, max = Infinity } = {}) {
+    const value = obj[key];
+    if (value === undefined || value === null) {
+        if (required) problems.push({ path: `${path}.${key}`, message: 'is missing' });
+        return;
+    }
+    if (typeof value !== 'number' || !isFinite(value)) {
+        problems.push({ path: `${path}.${key}`, message: `must be a number (got ${JSON.stringify(value)})` });
+    } else if (value < min) {
+        problems.push({ path: `${path}.${key}`, message: `must be at least ${min} (got ${value})` });
+    } else if (value > max) {
+        problems.push({ path: `${path}.${key}`, message: `must be at most ${max} (got ${value})` });
+    }
+}
+
+// Optional sections may be absent or null, but not some other type
+function checkSection(problems, assessment, key, path) {
+    const section = assessment[key];
+    if (section === undefined || section === null) return null;
+    if (typeof section !== 'object' || Array.isArray(section)) {
+        problems.push({ path: `${path}.${key}`, message: 'must be an object' });
+        return null;
+    }
+    return section;
+}
+
+function validateAssessment(assessment, path) {
+    const problems = [];
+    if (!assessment || typeof assessment !== 'object') {
+        return [{ path, message: 'must be an object' }];
+    }
+
+    const celeration = assessment.celeration;
+    if (!celeration || typeof celeration !== 'object') {
+        problems.push({ path: `${path}.celeration`, message: 'is missing' });
     } else {
-        const legacyColorIndex = state.students.length % CONFIG.studentColors.length;
-        state.students.push({
-            ...data.student,
-            assessments: data.assessments,
-            summary: data.summary,
-            color: CONFIG.studentColors[legacyColorIndex]
+        const p = `${path}.celeration`;
+        checkNumber(problems, celeration, 'calendarDay', p, { required: true });
+        checkNumber(problems, celeration, 'correctPerMinute', p, { required: true });
+        checkNumber(problems, celeration, 'errorsPerMinute', p, { required: true });
+        checkNumber(problems, celeration, 'correctCount', p);
+        checkNumber(problems, celeration, 'errorCount', p);
+        checkNumber(problems, celeration, 'countingTimeSec', p);
+        checkNumber(problems, celeration, 'countingTimeMin', p);
+        if (celeration.countingTimeMin === 0) {
+            problems.push({ path: `${p}.countingTimeMin`, message: 'must be greater than 0' });
+        }
+        if (celeration.date !== undefined && isNaN(new Date(celeration.date).getTime())) {
+            problems.push({ path: `${p}.date`, message: `is not a valid date (got ${JSON.stringify(celeration.date)})` });
+        }
+    }
+
+    const performance = checkSection(problems, assessment, 'performance', path);
+    if (performance) {
+        const p = `${path}.performance`;
+        checkNumber(problems, performance, 'totalWords', p);
+        checkNumber(problems, performance, 'correctCount', p);
+        checkNumber(problems, performance, 'accuracy', p, { max: 100 });
+        checkNumber(problems, performance, 'wpm', p);
+        checkNumber(problems, performance, 'readingTimeSeconds', p);
+    }
+
+    const prosody = checkSection(problems, assessment, 'prosody', path);
+    if (prosody) {
+        checkNumber(problems, prosody, 'score', `${path}.prosody`);
+        if (prosody.grade !== undefined && prosody.grade !== null && typeof prosody.grade !== 'string') {
+            problems.push({ path: `${path}.prosody.grade`, message: 'must be text' });
+        }
+    }
+
+    const errors = checkSection(problems, assessment, 'errors', path);
+    if (errors) {
+        ['total', 'skipped', 'misread', 'substituted', 'hesitations', 'repeated'].forEach(key => {
+            checkNumber(problems, errors, key, `${path}.errors`);
         });
-        state.activeStudents.push(studentId);
     }
 
-    // Update maxDataDay based on all loaded data
-    updateMaxDataDay();
+    return problems;
+}
 
-    updateSubjectTree();
-    updateStudentList();
-    drawChart();
-    updateStats();
-    updateLegend();
-    updatePatternsPanel();
-    updateChartSubtitle();
-    updatePanInfo();
-    updatePanButtons();
+// Migrate and validate a Word Analyzer export.
+// Returns { data, problems, quarantined, fatal }; data.assessments holds only the valid rows.
+function validateExport(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { data: null, problems: [{ path: '', message: 'File does not contain an export object' }], quarantined: [], fatal: true };
+    }
+
+    const { data, version } = migrateExport(raw);
+    const problems = [];
+
+    if (version !== CURRENT_EXPORT_VERSION) {
+        problems.push({
+            path: 'meta.exportVersion',
+            message: `unsupported export version ${JSON.stringify(version)} (this chart reads ${CURRENT_EXPORT_VERSION})`
+        });
+    }
+    if (!data.student || typeof data.student !== 'object') {
+        problems.push({ path: 'student', message: 'is missing' });
+    } else if (data.student.name !== undefined && typeof data.student.name !== 'string') {
+        problems.push({ path: 'student.name', message: 'must be text' });
+    }
+    if (!Array.isArray(data.assessments)) {
+        problems.push({ path: 'assessments', message: 'must be a list of assessments' });
+    }
+
+    if (problems.length > 0) {
+        return { data: null, problems, quarantined: [], fatal: true };
+    }
+
+    const assessments = [];
+    const quarantined = [];
+    data.assessments.forEach((assessment, index) => {
+        const rowProblems = validateAssessment(assessment, `assessments[${index}]`);
+        if (rowProblems.length > 0) {
+            quarantined.push({ index, assessmentId: assessment?.assessmentId || null, problems: rowProblems, assessment });
+        } else {
+            assessments.push(assessment);
+        }
+    });
+
+    return {
+        data: { ...data, assessments },
+        problems: quarantined.flatMap(row => row.problems),
+        quarantined,
+        fatal: false
+    };
 }
 
-// ===== Subject Tree UI =====
-function updateSubjectTree() {
-    const container = document.getElementById('subjectTree');
-    let html = '';
+function formatProblem(problem) {
+    return problem.path ? `${problem.path} ${problem.message}` : problem.message;
+}
 
-    // Show full assessment tree structure
-    for (const [subjectArea, categories] of Object.entries(ASSESSMENT_TREE)) {
-        const areaId = subjectArea.replace(/\s+/g, '-').toLowerCase();
-        const hasData = state.subjects[subjectArea] && Object.keys(state.subjects[subjectArea]).length > 0;
+// ===== Spreadsheet Import =====
+// Columns a spreadsheet can be mapped to; `pattern` guesses the column from its header.
+// Incorrect comes before correct so "Incorrect" headers are not claimed as correct counts.
+const CSV_FIELDS = [
+    { key: 'date', label: 'Date', required: true, pattern: /date|day/i },
+    { key: 'incorrect', label: 'Count incorrect', pattern: /incorrect|error|wrong|miss/i },
+    { key: 'correct', label: 'Count correct', required: true, pattern: /correct|right/i },
+    { key: 'time', label: 'Counting time', required: true, pattern: /time|sec|min|duration/i },
+    { key: 'student', label: 'Student', fixed: true, pattern: /student|name|learner/i },
+    { key: 'subject', label: 'Subject', fixed: true, pattern: /subject|area/i },
+    { key: 'pinpoint', label: 'Pinpoint', fixed: true, pattern: /pinpoint|skill|behavio|task/i }
+];
+
+async function importCsvFile(file) {
+    let table;
+    try {
+        const text = (await readFileText(file)).replace(/^\uFEFF/, '');
+        table = parseDelimited(text, detectDelimiter(text, file.name));
+    } catch (err) {
+        console.error('Error reading spreadsheet:', err);
+        return { status: 'rejected', reason: 'Could not read the file' };
+    }
 
-        html += `
-            <div class="subject-category ${hasData ? 'expanded has-data' : ''}" data-category="${subjectArea}">
-                <div class="subject-category-header" onclick="toggleSubjectCategory('${subjectArea}')">
-                    <span class="category-icon">▶</span>
-                    <span class="${hasData ? '' : 'muted'}">${escapeHtml(subjectArea)}</span>
-                </div>
-                <div class="subject-subcategories">
-        `;
+    if (table.length < 2) {
+        return { status: 'rejected', reason: 'Expected a header row and at least one timing' };
+    }
 
-        for (const category of categories) {
-            const categoryDataSets = state.subjects[subjectArea]?.[category] || [];
-            const hasDataForCategory = categoryDataSets.length > 0;
+    const mapping = await openCsvWizard(file.name, table[0], table.slice(1));
+    if (!mapping) {
+        return { status: 'rejected', reason: 'Import cancelled' };
+    }
 
-            if (hasDataForCategory) {
-                // Show each data set for this category
-                for (const dataSetId of categoryDataSets) {
-                    const dataSet = state.dataSets[dataSetId];
-                    if (!dataSet) continue;
+    const { exports, problems, skippedRows } = buildCsvExports(table[0], table.slice(1), mapping);
+    if (exports.length === 0) {
+        return { status: 'rejected', reason: 'No usable rows', problems };
+    }
 
-                    const isActive = state.activeDataSets.includes(dataSetId);
-                    const studentName = dataSet.student.name;
-                    const assessmentCount = dataSet.assessments.length;
+    // Row problems belong to the file, so report them once with the first data set
+    return exports.map((data, index) => {
+        const result = importStudentData(data, file.name);
+        if (index === 0 && problems.length > 0) {
+            result.problems = [...problems, ...(result.problems || [])];
+            result.quarantinedCount = (result.quarantinedCount || 0) + skippedRows;
+        }
+        return result;
+    });
+}
 
-                    html += `
-                        <label class="subject-item has-data ${isActive ? 'active' : ''}" data-dataset="${dataSetId}">
-                            <input type="checkbox" ${isActive ? 'checked' : ''} onchange="toggleDataSet('${dataSetId}')">
-                            <span class="subject-color" style="background: ${dataSet.color}"></span>
-                            <span class="subject-label">${escapeHtml(category)}</span>
-                            <span class="subject-count">${studentName} (${assessmentCount})</span>
-                        </label>
-                    `;
-                }
+function detectDelimiter(text, fileName) {
+    if (/\.tsv$/i.test(fileName)) return '\t';
+    const header = text.split(/\r?\n/, 1)[0];
+    const count = (char) => header.split(char).length - 1;
+    if (count('\t') > count(',')) return '\t';
+    if (count(';') > count(',')) return ';';
+    return ',';
+}
+
+// Split delimited text into rows of fields, honouring double-quoted fields
+function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
             } else {
-                // Show empty placeholder for this category
-                html += `
-                    <div class="subject-item empty">
-                        <span class="subject-label muted">${escapeHtml(category)}</span>
-                    </div>
-                `;
+                field += char;
             }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
         }
-
-        html += `
-                </div>
-            </div>
-        `;
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
     }
 
-    container.innerHTML = html;
+    return rows
+        .map(r => r.map(value => value.trim()))
+        .filter(r => r.some(value => value !== ''));
 }
 
-function toggleSubjectCategory(categoryId) {
-    const category = document.querySelector(`[data-category="${categoryId}"]`) ||
-                     document.querySelector(`.subject-category[data-category]`);
-    if (category) {
-        category.classList.toggle('expanded');
+// Parse ISO (2025-01-31), US (1/31/2025) or anything Date.parse understands to UTC midnight
+function parseSheetDate(value) {
+    let year, month, day;
+    let match;
+    if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(value))) {
+        [year, month, day] = [+match[1], +match[2], +match[3]];
+    } else if ((match = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec(value))) {
+        [month, day, year] = [+match[1], +match[2], +match[3]];
+        if (year < 100) year += 2000;
+    } else {
+        const parsed = new Date(value);
+        if (isNaN(parsed.getTime())) return null;
+        [year, month, day] = [parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate()];
     }
+
+    const time = Date.UTC(year, month - 1, day);
+    const check = new Date(time);
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+    return time;
 }
 
-function toggleDataSet(dataSetId) {
-    const index = state.activeDataSets.indexOf(dataSetId);
-    const dataSet = state.dataSets[dataSetId];
+function parseSheetNumber(value) {
+    if (value === undefined || value.trim() === '') return null;
+    const number = Number(value.replace(/,/g, ''));
+    return isFinite(number) ? number : null;
+}
 
-    if (index !== -1) {
-        state.activeDataSets.splice(index, 1);
-        if (dataSet) {
-            dataSet.active = false;
-            // Also remove from activeStudents
-            const studentId = dataSet.student?.id;
-            if (studentId) {
-                state.activeStudents = state.activeStudents.filter(s => s !== studentId);
-            }
-        }
-    } else {
-        state.activeDataSets.push(dataSetId);
-        if (dataSet) {
-            dataSet.active = true;
-            // Also add to activeStudents
-            const studentId = dataSet.student?.id;
-            if (studentId && !state.activeStudents.includes(studentId)) {
-                state.activeStudents.push(studentId);
-            }
+// Typed-in and spreadsheet timings count days from one fixed epoch, so a date
+// gets the same calendarDay whichever file or form it came from
+const CALENDAR_EPOCH_YEAR = 2000;
+
+// Day 1 is January 1 of the epoch year, counted like Word Analyzer's calendarDay
+function calendarDayFromTime(time) {
+    const msPerDay = 24 * 60 * 60 * 1000;
+    return Math.round((time - Date.UTC(CALENDAR_EPOCH_YEAR, 0, 1)) / msPerDay) + 1;
+}
+
+// Build a Word Analyzer-shaped assessment from raw counts and counting time
+function buildTimingAssessment({ assessmentId, assessmentIndex, time, calendarDay, correct, incorrect, countingTimeSec }) {
+    const countingTimeMin = countingTimeSec / 60;
+    const total = correct + incorrect;
+    return {
+        assessmentIndex,
+        assessmentId,
+        celeration: {
+            date: new Date(time).toISOString().slice(0, 10),
+            timestamp: time,
+            calendarDay,
+            countingTimeSec: Math.round(countingTimeSec),
+            countingTimeMin: Math.round(countingTimeMin * 100) / 100,
+            correctCount: correct,
+            errorCount: incorrect,
+            correctPerMinute: Math.round(correct / countingTimeMin * 100) / 100,
+            errorsPerMinute: Math.round(incorrect / countingTimeMin * 100) / 100
+        },
+        performance: {
+            totalWords: total,
+            correctCount: correct,
+            accuracy: total > 0 ? Math.round(correct / total * 1000) / 10 : 0
         }
-    }
+    };
+}
 
-    updateSubjectTree();
-    updateStudentList();
-    drawChart();
-    updateStats();
-    updateLegend();
-    updatePatternsPanel();
+function findStudentByName(name) {
+    const dataSet = Object.values(state.dataSets).find(ds => ds.student?.name?.toLowerCase() === name.toLowerCase());
+    return dataSet ? dataSet.student : null;
 }
 
-// Make functions globally accessible
-window.toggleSubjectCategory = toggleSubjectCategory;
-window.toggleDataSet = toggleDataSet;
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
 
-function updateMaxDataDay() {
-    let maxDay = 140; // Default to standard SCC range
+// Turn mapped spreadsheet rows into Word Analyzer-shaped exports, one per student/subject/pinpoint.
+// mapping: { date, correct, incorrect, time, student, subject, pinpoint } column indexes (or -1),
+// plus timeUnit ('seconds' | 'minutes') and fixed values for unmapped student/subject/pinpoint.
+function buildCsvExports(headers, rows, mapping) {
+    const problems = [];
+    const parsed = [];
+    let skippedRows = 0;
 
-    state.students.forEach(student => {
-        if (student.assessments) {
-            student.assessments.forEach(assessment => {
-                if (assessment.celeration && assessment.celeration.calendarDay) {
-                    maxDay = Math.max(maxDay, assessment.celeration.calendarDay);
-                }
+    rows.forEach((row, index) => {
+        const rowPath = `row ${index + 2}`;
+        const cell = (key) => mapping[key] >= 0 ? row[mapping[key]] : undefined;
+        const rowProblems = [];
+
+        const time = parseSheetDate(cell('date') || '');
+        if (time === null) rowProblems.push({ path: `${rowPath} (${headers[mapping.date]})`, message: `is not a date (got ${JSON.stringify(cell('date') || '')})` });
+
+        const correct = parseSheetNumber(cell('correct'));
+        if (correct === null || correct < 0) rowProblems.push({ path: `${rowPath} (${headers[mapping.correct]})`, message: 'must be a count of 0 or more' });
+
+        const incorrect = mapping.incorrect >= 0 ? parseSheetNumber(cell('incorrect')) : 0;
+        if (incorrect === null || incorrect < 0) rowProblems.push({ path: `${rowPath} (${headers[mapping.incorrect]})`, message: 'must be a count of 0 or more' });
+
+        const timing = parseSheetNumber(cell('time'));
+        if (timing === null || timing <= 0) rowProblems.push({ path: `${rowPath} (${headers[mapping.time]})`, message: 'must be a counting time greater than 0' });
+
+        if (rowProblems.length > 0) {
+            problems.push(...rowProblems);
+            skippedRows++;
+            return;
+        }
+
+        const countingTimeSec = mapping.timeUnit === 'minutes' ? timing * 60 : timing;
+        parsed.push({
+            time,
+            correct,
+            incorrect,
+            countingTimeSec,
+            student: cell('student') || mapping.fixedStudent || 'Unnamed student',
+            subject: cell('subject') || mapping.fixedSubject || 'Reading',
+            pinpoint: cell('pinpoint') || mapping.fixedPinpoint || 'Oral Reading Fluency'
+        });
+    });
+
+    if (parsed.length === 0) return { exports: [], problems, skippedRows };
+
+    const groups = new Map();
+    const seen = new Map();
+
+    // Same-date rows are ordered by their counts, so row order in the sheet never changes ids
+    parsed.sort((a, b) => (a.time - b.time) || (a.correct - b.correct) ||
+        (a.incorrect - b.incorrect) || (a.countingTimeSec - b.countingTimeSec)).forEach(p => {
+        const key = `${p.student}|${p.subject}|${p.pinpoint}`;
+        if (!groups.has(key)) {
+            // Reuse the id of an already-loaded student with the same name
+            const existing = findStudentByName(p.student);
+            groups.set(key, {
+                meta: { exportVersion: CURRENT_EXPORT_VERSION, source: 'Spreadsheet import' },
+                subject: { category: p.subject, subcategory: p.pinpoint },
+                category: p.pinpoint,
+                student: existing ? { name: existing.name, id: existing.id } : { name: p.student, id: `student-${slugify(p.student)}` },
+                assessments: []
             });
         }
+
+        // The id survives re-sorting the sheet; a second timing on the same date gets a suffix
+        const baseId = `sheet-${slugify(p.student)}-${slugify(p.pinpoint)}-${p.time}`;
+        const occurrence = (seen.get(baseId) || 0) + 1;
+        seen.set(baseId, occurrence);
+
+        // Number days like the data set this will merge into, if there is one
+        const dataSet = findTimingDataSet(p.student, p.pinpoint);
+        const date = new Date(p.time).toISOString().slice(0, 10);
+
+        const group = groups.get(key);
+        group.assessments.push(buildTimingAssessment({
+            assessmentId: occurrence === 1 ? baseId : `${baseId}-${occurrence}`,
+            assessmentIndex: group.assessments.length + 1,
+            time: p.time,
+            calendarDay: (dataSet ? dateToCalendarDay(dataSet, date) : null) ?? calendarDayFromTime(p.time),
+            correct: p.correct,
+            incorrect: p.incorrect,
+            countingTimeSec: p.countingTimeSec
+        }));
     });
 
-    // Round up to nearest week and add buffer
-    state.maxDataDay = Math.max(140, Math.ceil((maxDay + 7) / 7) * 7);
+    return { exports: [...groups.values()], problems, skippedRows };
 }
 
-// ===== UI Updates =====
-function updateStudentList() {
-    const container = document.getElementById('studentList');
+// Guess a column for each field from the headers, never reusing a column
+function guessCsvMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+    CSV_FIELDS.forEach(field => {
+        const index = headers.findIndex((header, i) => !used.has(i) && field.pattern.test(header));
+        mapping[field.key] = index;
+        if (index >= 0) used.add(index);
+    });
+    return mapping;
+}
 
-    if (state.students.length === 0) {
-        container.innerHTML = '<p class="empty-state">No data loaded</p>';
-        return;
+// Show the mapping dialog; resolves with a mapping, or null when cancelled
+function openCsvWizard(fileName, headers, rows) {
+    return new Promise(resolve => {
+        state.csvWizard = { fileName, headers, rows, resolve };
+
+        const guess = guessCsvMapping(headers);
+        const options = (selected, allowNone) => `
+            ${allowNone ? `<option value="-1">(not in file)</option>` : ''}
+            ${headers.map((header, i) => `<option value="${i}" ${i === selected ? 'selected' : ''}>${escapeHtml(header || `Column ${i + 1}`)}</option>`).join('')}
+        `;
+        const guessedTimeUnit = guess.time >= 0 && /min/i.test(headers[guess.time]) ? 'minutes' : 'seconds';
+        const defaultStudent = fileName.replace(/\.[^.]+$/, '');
+
+        const fields = CSV_FIELDS.map(field => {
+            let extra = '';
+            if (field.key === 'time') {
+                extra = `
+                    <select id="csvTimeUnit" class="form-input">
+                        <option value="seconds" ${guessedTimeUnit === 'seconds' ? 'selected' : ''}>seconds</option>
+                        <option value="minutes" ${guessedTimeUnit === 'minutes' ? 'selected' : ''}>minutes</option>
+                    </select>
+                `;
+            } else if (field.key === 'subject') {
+                extra = `
+                    <select id="csvFixed-subject" class="form-input" title="Subject for rows without a subject column">
+                        ${Object.keys(getSubjectTree()).map(area => `<option value="${escapeHtml(area)}">${escapeHtml(area)}</option>`).join('')}
+                    </select>
+                `;
+            } else if (field.fixed) {
+                const value = field.key === 'student' ? defaultStudent : 'Oral Reading Fluency';
+                extra = `<input type="text" id="csvFixed-${field.key}" class="form-input" value="${escapeHtml(value)}" title="${field.label} for rows without a ${field.label.toLowerCase()} column">`;
+            }
+            const allowNone = !field.required;
+            const selected = guess[field.key] >= 0 ? guess[field.key] : (allowNone ? -1 : 0);
+            return `
+                <label class="csv-field">
+                    <span class="toggle-label">${field.label}${field.required ? ' *' : ''}</span>
+                    <select id="csvMap-${field.key}" class="form-input">${options(selected, allowNone)}</select>
+                    ${extra}
+                </label>
+            `;
+        }).join('');
+
+        const previewRows = rows.slice(0, 5).map(row => `
+            <tr>${headers.map((_, i) => `<td>${escapeHtml(row[i] || '')}</td>`).join('')}</tr>
+        `).join('');
+
+        document.getElementById('csvFileName').textContent = `${fileName} · ${rows.length} rows`;
+        document.getElementById('csvMapping').innerHTML = fields;
+        document.getElementById('csvPreview').innerHTML = `
+            <table class="roster-table import-table">
+                <thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+                <tbody>${previewRows}</tbody>
+            </table>
+        `;
+        document.getElementById('csvModal').hidden = false;
+    });
+}
+
+function readCsvMapping() {
+    const mapping = {};
+    CSV_FIELDS.forEach(field => {
+        mapping[field.key] = parseInt(document.getElementById(`csvMap-${field.key}`).value);
+    });
+    mapping.timeUnit = document.getElementById('csvTimeUnit').value;
+    mapping.fixedStudent = document.getElementById('csvFixed-student').value.trim();
+    mapping.fixedSubject = document.getElementById('csvFixed-subject').value;
+    mapping.fixedPinpoint = document.getElementById('csvFixed-pinpoint').value.trim();
+    return mapping;
+}
+
+function finishCsvWizard(accepted) {
+    const wizard = state.csvWizard;
+    if (!wizard) return;
+
+    let mapping = null;
+    if (accepted) {
+        mapping = readCsvMapping();
+        const missing = CSV_FIELDS.filter(field => field.required && !(mapping[field.key] >= 0));
+        if (missing.length > 0) {
+            alert(`Choose a column for: ${missing.map(f => f.label).join(', ')}`);
+            return;
+        }
     }
 
-    container.innerHTML = state.students.map((student, index) => `
-        <div class="student-item ${state.activeStudents.includes(student.id) ? 'active' : ''}"
-             data-id="${student.id}" style="color: ${student.color}">
-            <span class="student-color"></span>
-            <span class="student-name">${escapeHtml(student.name)}</span>
-            <span class="student-count">${student.assessments.length} assessments</span>
-            <button class="remove-btn" data-id="${student.id}" title="Remove">&times;</button>
-        </div>
-    `).join('');
+    state.csvWizard = null;
+    document.getElementById('csvModal').hidden = true;
+    wizard.resolve(mapping);
+}
 
-    // Add click handlers
-    container.querySelectorAll('.student-item').forEach(item => {
-        item.addEventListener('click', (e) => {
-            if (e.target.classList.contains('remove-btn')) return;
+// ===== Manual Timings =====
+// Typed-in timings are stored like any other assessment, tagged source: 'manual'
+function readTimingForm() {
+    const student = document.getElementById('timingStudent').value.trim();
+    const subject = document.getElementById('timingSubject').value;
+    const pinpoint = document.getElementById('timingPinpoint').value.trim();
+    const date = document.getElementById('timingDate').value;
+    const correct = parseFloat(document.getElementById('timingCorrect').value);
+    const incorrect = parseFloat(document.getElementById('timingErrors').value || '0');
+    const countingTimeSec = parseFloat(document.getElementById('timingSeconds').value);
+
+    if (!student || !pinpoint || !date) return 'Enter a student, pinpoint and date.';
+    if (isNaN(correct) || correct < 0 || isNaN(incorrect) || incorrect < 0) return 'Counts must be 0 or more.';
+    if (isNaN(countingTimeSec) || countingTimeSec <= 0) return 'Counting time must be greater than 0 seconds.';
+
+    return { student, subject, pinpoint, time: parseSheetDate(date), correct, incorrect, countingTimeSec };
+}
 
-            const id = item.dataset.id;
-            if (state.activeStudents.includes(id)) {
-                state.activeStudents = state.activeStudents.filter(s => s !== id);
-                item.classList.remove('active');
-            } else {
-                state.activeStudents.push(id);
-                item.classList.add('active');
-            }
-            drawChart();
-            updateStats();
-            updateLegend();
-            updatePatternsPanel();
-        });
-    });
+function findTimingDataSet(studentName, pinpoint) {
+    return Object.values(state.dataSets).find(ds =>
+        ds.student?.name?.toLowerCase() === studentName.toLowerCase() &&
+        ds.subject.subcategory.toLowerCase() === pinpoint.toLowerCase()
+    ) || null;
+}
 
-    container.querySelectorAll('.remove-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
+// Append a timing to the matching data set, creating the data set if needed
+function addManualTiming(timing, assessmentId = `manual-${Date.now()}`) {
+    const dataSet = findTimingDataSet(timing.student, timing.pinpoint);
+    const date = new Date(timing.time).toISOString().slice(0, 10);
+
+    if (!dataSet) {
+        const existing = findStudentByName(timing.student);
+        const assessment = buildTimingAssessment({
+            ...timing,
+            assessmentId,
+            assessmentIndex: 1,
+            calendarDay: calendarDayFromTime(timing.time)
+        });
+        assessment.source = 'manual';
+        importStudentData({
+            meta: { exportVersion: CURRENT_EXPORT_VERSION, source: 'Manual entry' },
+            subject: { category: timing.subject, subcategory: timing.pinpoint },
+            category: timing.pinpoint,
+            student: existing ? { name: existing.name, id: existing.id } : { name: timing.student, id: `student-${slugify(timing.student)}` },
+            assessments: [assessment]
+        });
+        return;
+    }
+
+    const calendarDay = dateToCalendarDay(dataSet, date) ??
+        calendarDayFromTime(timing.time);
+    const assessment = buildTimingAssessment({
+        ...timing,
+        assessmentId,
+        assessmentIndex: dataSet.assessments.length + 1,
+        calendarDay
+    });
+    assessment.source = 'manual';
+
+    dataSet.assessments.push(assessment);
+    dataSet.assessments.sort((a, b) => a.celeration.calendarDay - b.celeration.calendarDay);
+
+    // The chart draws from the legacy series record, so point it at this data set
+    const student = state.students.find(s => s.dataSetId === dataSet.id);
+    if (student) student.assessments = dataSet.assessments;
+}
+
+function removeAssessment(dataSetId, assessmentId) {
+    const dataSet = state.dataSets[dataSetId];
+    if (!dataSet) return;
+    const index = dataSet.assessments.findIndex(a => a.assessmentId === assessmentId);
+    if (index !== -1) dataSet.assessments.splice(index, 1);
+}
+
+async function saveManualTiming() {
+    const timing = readTimingForm();
+    if (typeof timing === 'string') {
+        alert(timing);
+        return;
+    }
+    await workspacesRestored;
+
+    const editing = state.editingTiming;
+    if (editing) {
+        // Editing may move the timing to another student or pinpoint, so remove and re-add
+        removeAssessment(editing.dataSetId, editing.assessmentId);
+        addManualTiming(timing, editing.assessmentId);
+        state.editingTiming = null;
+    } else {
+        addManualTiming(timing);
+    }
+
+    resetTimingForm();
+    refreshAfterImport();
+}
+
+function editManualTiming(dataSetId, assessmentId) {
+    const dataSet = state.dataSets[dataSetId];
+    const assessment = dataSet?.assessments.find(a => a.assessmentId === assessmentId);
+    if (!assessment) return;
+
+    document.getElementById('timingStudent').value = dataSet.student.name;
+    document.getElementById('timingSubject').value = dataSet.subject.category;
+    document.getElementById('timingPinpoint').value = dataSet.subject.subcategory;
+    document.getElementById('timingDate').value = assessment.celeration.date;
+    document.getElementById('timingCorrect').value = assessment.celeration.correctCount;
+    document.getElementById('timingErrors').value = assessment.celeration.errorCount;
+    document.getElementById('timingSeconds').value = assessment.celeration.countingTimeSec;
+
+    state.editingTiming = { dataSetId, assessmentId };
+    document.getElementById('addTimingBtn').textContent = 'Save Timing';
+    document.getElementById('cancelTimingBtn').hidden = false;
+}
+
+function deleteManualTiming(dataSetId, assessmentId) {
+    if (!confirm('Delete this timing?')) return;
+    removeAssessment(dataSetId, assessmentId);
+    if (state.editingTiming?.assessmentId === assessmentId) cancelTimingEdit();
+    refreshAfterImport();
+}
+
+function cancelTimingEdit() {
+    state.editingTiming = null;
+    resetTimingForm();
+}
+
+function resetTimingForm() {
+    ['timingDate', 'timingCorrect', 'timingErrors'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('addTimingBtn').textContent = 'Add Timing';
+    document.getElementById('cancelTimingBtn').hidden = !state.editingTiming;
+}
+
+function updateTimingPanel() {
+    const tree = getSubjectTree();
+    const subjectSelect = document.getElementById('timingSubject');
+    const selectedSubject = subjectSelect.value;
+    subjectSelect.innerHTML = Object.keys(tree).map(area =>
+        `<option value="${escapeHtml(area)}" ${area === selectedSubject ? 'selected' : ''}>${escapeHtml(area)}</option>`
+    ).join('');
+
+    const studentNames = new Set(Object.values(state.dataSets).map(ds => ds.student?.name).filter(Boolean));
+    document.getElementById('timingStudents').innerHTML = [...studentNames]
+        .map(name => `<option value="${escapeHtml(name)}"></option>`).join('');
+    document.getElementById('timingPinpoints').innerHTML = Object.values(tree).flat()
+        .map(pinpoint => `<option value="${escapeHtml(pinpoint)}"></option>`).join('');
+
+    const entries = [];
+    Object.values(state.dataSets).forEach(dataSet => {
+        dataSet.assessments
+            .filter(a => a.source === 'manual')
+            .forEach(a => entries.push({ dataSet, assessment: a }));
+    });
+    entries.sort((a, b) => b.assessment.celeration.timestamp - a.assessment.celeration.timestamp);
+
+    const list = document.getElementById('timingList');
+    if (entries.length === 0) {
+        list.innerHTML = '<p class="empty-state">No typed-in timings</p>';
+        return;
+    }
+
+    list.innerHTML = entries.map(({ dataSet, assessment }) => {
+        const c = assessment.celeration;
+        return `
+            <div class="phase-item timing-item">
+                <span class="phase-date">${escapeHtml(c.date)}</span>
+                <span class="phase-label" title="${escapeHtml(dataSet.subject.subcategory)}">
+                    ${escapeHtml(dataSet.student.name)} · ${c.correctCount}/${c.errorCount} in ${c.countingTimeSec}s
+                </span>
+                <button class="remove-btn" title="Edit" onclick="editManualTiming('${dataSet.id}', '${assessment.assessmentId}')">✎</button>
+                <button class="remove-btn" title="Delete" onclick="deleteManualTiming('${dataSet.id}', '${assessment.assessmentId}')">&times;</button>
+            </div>
+        `;
+    }).join('');
+}
+
+window.editManualTiming = editManualTiming;
+window.deleteManualTiming = deleteManualTiming;
+
+// List validation problems, capped so a badly broken file stays readable
+function renderImportProblems(problems) {
+    if (problems.length === 0) return '';
+    const limit = 20;
+    const items = problems.slice(0, limit).map(p => `<li>${escapeHtml(formatProblem(p))}</li>`).join('');
+    const more = problems.length > limit ? `<li>…and ${problems.length - limit} more</li>` : '';
+    return `<ul class="import-problems">${items}${more}</ul>`;
+}
+
+function processStudentData(data) {
+    const result = importStudentData(data);
+    if (result.status === 'rejected') {
+        alert(result.reason);
+        return;
+    }
+    refreshAfterImport();
+    showPendingChanges();
+}
+
+// Add or update one Word Analyzer export without redrawing.
+// Returns { status: 'loaded' | 'updated' | 'rejected', reason?, problems, studentName?, assessmentCount? }
+function importStudentData(raw, sourceName) {
+    const validation = validateExport(raw);
+    if (validation.fatal) {
+        return {
+            status: 'rejected',
+            reason: `Invalid Word Analyzer export: ${validation.problems.map(formatProblem).join('; ')}`,
+            problems: validation.problems
+        };
+    }
+    const data = validation.data;
+
+    // Extract category from data (e.g., "Oral Reading Fluency")
+    // This determines where in the tree it appears
+    const assessmentCategory = data.category || data.subject?.subcategory || 'Oral Reading Fluency';
+
+    // Find which subject area this category belongs to
+    let subjectArea = data.subject?.category || 'Reading'; // default
+    for (const [area, categories] of Object.entries(ASSESSMENT_TREE)) {
+        if (categories.includes(assessmentCategory)) {
+            subjectArea = area;
+            break;
+        }
+    }
+
+    const category = subjectArea;
+    const subcategory = assessmentCategory;
+
+    const studentId = data.student.id || `student-${Date.now()}`;
+    // Quotes are stripped because the id is embedded in inline handlers
+    const dataSetId = `${studentId}-${category}-${subcategory}`.replace(/\s+/g, '-').replace(/['"\\]/g, '').toLowerCase();
+
+    // Initialize subject hierarchy if needed
+    if (!state.subjects[category]) {
+        state.subjects[category] = {};
+    }
+    if (!state.subjects[category][subcategory]) {
+        state.subjects[category][subcategory] = [];
+    }
+
+    // Get color for this data set
+    const colorPalette = SUBJECT_COLORS[category] || SUBJECT_COLORS['default'];
+    const colorIndex = state.subjects[category][subcategory].length % colorPalette.length;
+    const color = colorPalette[colorIndex];
+
+    // Check if data set already exists
+    const status = state.dataSets[dataSetId] ? 'updated' : 'loaded';
+    const source = sourceName || data.meta?.source || 'Import';
+    let merge;
+    if (state.dataSets[dataSetId]) {
+        // Merge into the existing data set, keeping local-only timings
+        const dataSet = state.dataSets[dataSetId];
+        merge = mergeAssessments(dataSet, data.assessments, source);
+        dataSet.summary = data.summary;
+        dataSet.quarantined = validation.quarantined;
+    } else {
+        // Create new data set
+        state.dataSets[dataSetId] = {
+            id: dataSetId,
+            subject: { category, subcategory },
+            student: data.student,
+            assessments: data.assessments,
+            summary: data.summary,
+            quarantined: validation.quarantined,
+            changeLog: [],
+            color: color,
+            active: true
+        };
+        merge = logImport(state.dataSets[dataSetId], source, { added: data.assessments.length });
+
+        // Add to subject hierarchy
+        state.subjects[category][subcategory].push(dataSetId);
+
+        // Add to active data sets
+        state.activeDataSets.push(dataSetId);
+    }
+
+    // Also maintain the legacy students array: one chart series per data set,
+    // so a student with several pinpoints gets one series for each
+    const assessments = state.dataSets[dataSetId].assessments;
+    const series = { ...data.student, id: dataSetId, studentId, dataSetId, assessments, summary: data.summary };
+    const existingIndex = state.students.findIndex(s => s.id === dataSetId);
+    if (existingIndex !== -1) {
+        state.students[existingIndex] = { ...state.students[existingIndex], ...series };
+    } else {
+        const legacyColorIndex = state.students.length % CONFIG.studentColors.length;
+        state.students.push({ ...series, color: CONFIG.studentColors[legacyColorIndex] });
+        state.activeStudents.push(dataSetId);
+    }
+
+    return {
+        status,
+        problems: validation.problems,
+        quarantinedCount: validation.quarantined.length,
+        studentName: data.student.name || studentId,
+        assessmentCount: assessments.length,
+        mergeSummary: status === 'updated' ? describeImportLog(merge) : ''
+    };
+}
+
+function refreshAfterImport() {
+    // Update maxDataDay based on all loaded data
+    updateMaxDataDay();
+
+    updateSubjectTree();
+    updateTimingPanel();
+    updateHistoryPanel();
+    updateStudentList();
+    updatePhasePanel();
+    updateAimPanel();
+    updateSameDayPanel();
+    drawChart();
+    scheduleAutosave();
+    updateStats();
+    updateLegend();
+    updatePatternsPanel();
+    updateChartSubtitle();
+    updatePanInfo();
+    updatePanButtons();
+}
+
+// ===== Merging Re-imports =====
+// Re-imported assessments are matched to local ones by assessmentId, falling back
+// to the timing's timestamp and counts. New ones are added, local-only ones are kept,
+// changed ones wait in state.pendingChanges until the user accepts or declines them,
+// and extra timings matching an already-matched local one are counted as conflicts.
+// Every import appends an entry to dataSet.changeLog:
+//   { id, at, source, added, changed, accepted, declined, localOnly, unchanged, conflicts }
+
+// Flatten an assessment into { 'celeration.correctCount': 33, ... } for comparison
+function flattenAssessment(value, prefix = '', out = {}) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([key, child]) => {
+            if (!prefix && (key === 'assessmentIndex' || key === 'source')) return;
+            flattenAssessment(child, prefix ? `${prefix}.${key}` : key, out);
+        });
+    } else {
+        out[prefix] = JSON.stringify(value);
+    }
+    return out;
+}
+
+function diffAssessments(local, incoming) {
+    const before = flattenAssessment(local);
+    const after = flattenAssessment(incoming);
+    const paths = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...paths]
+        .filter(path => before[path] !== after[path])
+        .map(path => ({ path, before: before[path], after: after[path] }));
+}
+
+// Timings without a shared assessmentId match on timestamp plus counts, since
+// typed-in and spreadsheet timestamps are only a date
+function timingKey(assessment) {
+    const c = assessment.celeration || {};
+    return `t${c.timestamp}|${c.correctCount}|${c.errorCount}|${c.countingTimeSec}`;
+}
+
+function mergeAssessments(dataSet, incoming, source) {
+    const local = new Map();
+    const addKey = (key, a) => {
+        if (!local.has(key)) local.set(key, []);
+        local.get(key).push(a);
+    };
+    dataSet.assessments.forEach(a => {
+        if (a.assessmentId) addKey(a.assessmentId, a);
+        addKey(timingKey(a), a);
+        addKey(`t${a.celeration?.timestamp}`, a);
+    });
+
+    // A bare timestamp only identifies a timing when one timing on each side has it
+    const incomingTimes = new Map();
+    incoming.forEach(a => {
+        const key = `t${a.celeration?.timestamp}`;
+        incomingTimes.set(key, (incomingTimes.get(key) || 0) + 1);
+    });
+    const findCandidates = (assessment) => {
+        const time = `t${assessment.celeration?.timestamp}`;
+        const byTime = incomingTimes.get(time) === 1 && local.get(time)?.length === 1 ? local.get(time) : null;
+        return (assessment.assessmentId && local.get(assessment.assessmentId)) ||
+            local.get(timingKey(assessment)) || byTime;
+    };
+
+    const matched = new Set();
+    const counts = { added: 0, changed: 0, unchanged: 0, localOnly: 0, conflicts: 0 };
+    const entry = logImport(dataSet, source, counts);
+
+    incoming.forEach(assessment => {
+        const candidates = findCandidates(assessment);
+        if (!candidates) {
+            dataSet.assessments.push(assessment);
+            counts.added++;
+            return;
+        }
+
+        // Several incoming timings for one local timing: keep the first, report the rest
+        const existing = candidates.find(a => !matched.has(a));
+        if (!existing) {
+            counts.conflicts++;
+            return;
+        }
+
+        matched.add(existing);
+        const diffs = diffAssessments(existing, assessment);
+        if (diffs.length === 0) {
+            counts.unchanged++;
+        } else {
+            counts.changed++;
+            state.pendingChanges.push({ dataSetId: dataSet.id, logId: entry.id, local: existing, incoming: assessment, diffs });
+        }
+    });
+
+    counts.localOnly = dataSet.assessments.filter(a => !matched.has(a) && !incoming.includes(a)).length;
+    Object.assign(entry, counts);
+    dataSet.assessments.sort((a, b) => a.celeration.calendarDay - b.celeration.calendarDay);
+    return entry;
+}
+
+function logImport(dataSet, source, counts) {
+    const entry = {
+        id: `import-${Date.now()}-${(dataSet.changeLog || []).length}`,
+        at: new Date().toISOString(),
+        source,
+        added: 0,
+        changed: 0,
+        accepted: 0,
+        declined: 0,
+        localOnly: 0,
+        unchanged: 0,
+        conflicts: 0,
+        ...counts
+    };
+    dataSet.changeLog = dataSet.changeLog || [];
+    dataSet.changeLog.push(entry);
+    return entry;
+}
+
+function describeImportLog(entry) {
+    const parts = [`${entry.added} new`];
+    if (entry.changed > 0) {
+        const reviewed = entry.accepted + entry.declined;
+        parts.push(reviewed === entry.changed ?
+            `${entry.changed} changed (${entry.accepted} accepted)` :
+            `${entry.changed} changed (awaiting review)`);
+    }
+    if (entry.localOnly > 0) parts.push(`${entry.localOnly} local-only kept`);
+    if (entry.conflicts > 0) parts.push(`${entry.conflicts} duplicate${entry.conflicts === 1 ? '' : 's'} not imported`);
+    return parts.join(' · ');
+}
+
+function showPendingChanges() {
+    if (state.pendingChanges.length === 0) return;
+
+    document.getElementById('mergeBody').innerHTML = state.pendingChanges.map((change, index) => {
+        const dataSet = state.dataSets[change.dataSetId];
+        const rows = change.diffs.map(d => `
+            <tr>
+                <td>${escapeHtml(d.path)}</td>
+                <td class="merge-before">${escapeHtml(d.before ?? '—')}</td>
+                <td class="merge-after">${escapeHtml(d.after ?? '—')}</td>
+            </tr>
+        `).join('');
+        return `
+            <div class="merge-item">
+                <label class="toggle-item">
+                    <input type="checkbox" data-change="${index}" checked>
+                    <span class="toggle-label">
+                        ${escapeHtml(dataSet.student.name)} — ${escapeHtml(dataSet.subject.subcategory)} ·
+                        ${escapeHtml(change.local.celeration?.date || '')}
+                    </span>
+                </label>
+                <table class="roster-table import-table">
+                    <thead><tr><th>Field</th><th>Local</th><th>Incoming</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }).join('');
+    document.getElementById('mergeModal').hidden = false;
+}
+
+// Apply the checked changes, keep local values for the rest
+function resolvePendingChanges(acceptChecked) {
+    const checked = new Set();
+    if (acceptChecked) {
+        document.querySelectorAll('#mergeBody input[data-change]').forEach(input => {
+            if (input.checked) checked.add(parseInt(input.dataset.change));
+        });
+    }
+
+    let missing = 0;
+    state.pendingChanges.forEach((change, index) => {
+        const dataSet = state.dataSets[change.dataSetId];
+        const entry = dataSet?.changeLog?.find(e => e.id === change.logId);
+        if (!dataSet) return;
+
+        if (checked.has(index)) {
+            // Replace in place so shared references (legacy student) stay valid
+            const position = dataSet.assessments.indexOf(change.local);
+            if (position === -1) {
+                missing++;
+                if (entry) entry.declined++;
+                return;
+            }
+            dataSet.assessments[position] = change.incoming;
+            if (entry) entry.accepted++;
+        } else if (entry) {
+            entry.declined++;
+        }
+    });
+
+    Object.values(state.dataSets).forEach(ds => {
+        ds.assessments.sort((a, b) => a.celeration.calendarDay - b.celeration.calendarDay);
+    });
+    state.pendingChanges = [];
+    document.getElementById('mergeModal').hidden = true;
+    refreshAfterImport();
+
+    if (missing > 0) {
+        alert(`${missing} accepted change${missing === 1 ? '' : 's'} could not be applied: the timing was replaced or removed in the meantime. The local value${missing === 1 ? ' was' : 's were'} kept.`);
+    }
+}
+
+function updateHistoryPanel() {
+    const list = document.getElementById('historyList');
+    const selectedId = fillDataSetSelect(document.getElementById('historyDataSet'));
+    const log = state.dataSets[selectedId]?.changeLog || [];
+
+    if (log.length === 0) {
+        list.innerHTML = '<p class="empty-state">No imports recorded</p>';
+        return;
+    }
+
+    list.innerHTML = log.slice().reverse().map(entry => `
+        <div class="phase-item history-item">
+            <span class="phase-date">${escapeHtml(new Date(entry.at).toLocaleString())}</span>
+            <span class="phase-label" title="${escapeHtml(entry.source)}">${escapeHtml(describeImportLog(entry))}</span>
+        </div>
+    `).join('');
+}
+
+// ===== Workspaces =====
+// A workspace is a named snapshot of everything on screen, kept in IndexedDB:
+//   { id, name, updatedAt, snapshot }
+// Students (one chart series per data set) are saved without their assessments;
+// they point at the data set whose assessments they share and are re-linked on restore.
+const WORKSPACE_DB = 'scc-workspaces';
+const WORKSPACE_STORE = 'workspaces';
+const CURRENT_WORKSPACE_KEY = 'scc-current-workspace';
+const AUTOSAVE_DELAY = 1000;
+let emptySnapshot = null; // Snapshot of a fresh page, used for new workspaces
+let workspaceDb = null; // Promise of the one open database connection
+let workspacesRestored = Promise.resolve(); // Settles once the saved workspace is on screen
+
+function getWorkspaceSnapshot() {
+    const students = state.students.map(({ assessments, ...student }) => student);
+
+    return JSON.parse(JSON.stringify({
+        students,
+        activeStudents: state.activeStudents,
+        activeMetrics: state.activeMetrics,
+        displayOptions: state.displayOptions,
+        paperFields: state.paperFields,
+        zoom: state.zoom,
+        panOffset: state.panOffset,
+        subjects: state.subjects,
+        dataSets: state.dataSets,
+        activeDataSets: state.activeDataSets,
+        rules: state.rules
+    }));
+}
+
+function applyWorkspaceSnapshot(snapshot) {
+    const data = JSON.parse(JSON.stringify(snapshot));
+
+    state.dataSets = data.dataSets || {};
+    state.subjects = data.subjects || {};
+    state.activeDataSets = data.activeDataSets || [];
+    // Older snapshots keyed series by student id; series are now keyed by data set
+    state.students = (data.students || []).map(student => ({
+        ...student,
+        id: student.dataSetId || student.id,
+        studentId: student.studentId || student.id,
+        assessments: state.dataSets[student.dataSetId]?.assessments || []
+    }));
+    state.activeStudents = [...new Set((data.activeStudents || []).flatMap(id =>
+        state.students.filter(s => s.id === id || s.studentId === id).map(s => s.id)
+    ))];
+    state.activeMetrics = data.activeMetrics || [...emptySnapshot.activeMetrics];
+    state.displayOptions = { ...emptySnapshot.displayOptions, ...data.displayOptions };
+    state.paperFields = data.paperFields || {};
+    state.rules = loadRules(data.rules);
+    state.zoom = data.zoom || emptySnapshot.zoom;
+    state.panOffset = data.panOffset || 0;
+    state.editingTiming = null;
+    state.pendingChanges = [];
+    document.getElementById('mergeModal').hidden = true;
+
+    clearSelection();
+    syncControlsFromState();
+    renderPaperForm();
+    updateRulesEditor();
+    refreshAfterImport();
+    renderZoomButtons();
+}
+
+// Reflect restored state in the sidebar checkboxes and selects
+function syncControlsFromState() {
+    document.querySelectorAll('.metric-toggles .toggle-item').forEach(item => {
+        item.querySelector('input[type="checkbox"]').checked = state.activeMetrics.includes(item.dataset.metric);
+    });
+
+    // Display option inputs share their option's key as id
+    Object.entries(state.displayOptions).forEach(([key, value]) => {
+        const input = document.getElementById(key);
+        if (!input) return;
+        if (typeof value === 'boolean') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+    });
+}
+
+// Open the database once and reuse the connection for every request
+function openWorkspaceDb() {
+    if (!workspaceDb) {
+        workspaceDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(WORKSPACE_DB, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(WORKSPACE_STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version of the page upgrade the database
+                db.onversionchange = () => {
+                    db.close();
+                    workspaceDb = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => {
+                workspaceDb = null;
+                reject(request.error);
+            };
+        });
+    }
+    return workspaceDb;
+}
+
+// Run one request against the workspace store
+async function workspaceRequest(mode, makeRequest) {
+    const db = await openWorkspaceDb();
+    return new Promise((resolve, reject) => {
+        const store = db.transaction(WORKSPACE_STORE, mode).objectStore(WORKSPACE_STORE);
+        const request = makeRequest(store);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function initWorkspaces() {
+    // New workspaces start with the default rules
+    emptySnapshot = { ...getWorkspaceSnapshot(), rules: getDefaultRules() };
+
+    if (typeof indexedDB === 'undefined') {
+        console.warn('IndexedDB is not available; the workspace will not be saved.');
+        document.querySelector('.workspace-controls').hidden = true;
+        return;
+    }
+
+    try {
+        let records = await workspaceRequest('readonly', store => store.getAll());
+        if (records.length === 0) {
+            const record = { id: `workspace-${Date.now()}`, name: 'My Workspace', updatedAt: Date.now(), snapshot: emptySnapshot };
+            await workspaceRequest('readwrite', store => store.put(record));
+            records = [record];
+        }
+
+        const savedId = localStorage.getItem(CURRENT_WORKSPACE_KEY);
+        const current = records.find(r => r.id === savedId) || records[0];
+
+        state.workspaces = records.map(({ id, name, updatedAt }) => ({ id, name, updatedAt }));
+        state.workspaceId = current.id;
+        localStorage.setItem(CURRENT_WORKSPACE_KEY, current.id);
+
+        applyWorkspaceSnapshot(current.snapshot);
+        updateWorkspaceSwitcher();
+        state.workspaceReady = true;
+    } catch (err) {
+        console.error('Could not restore workspace:', err);
+        alert(`Could not restore the saved workspace, so changes will not be saved: ${err.message}`);
+    }
+}
+
+// Called after data and option changes (not on every redraw)
+function scheduleAutosave() {
+    if (!state.workspaceReady) return;
+    clearTimeout(state.autosaveTimer);
+    state.autosaveTimer = setTimeout(saveWorkspace, AUTOSAVE_DELAY);
+}
+
+// Save now, including pan and zoom changes that never schedule a save
+function flushAutosave() {
+    if (!state.workspaceReady) return;
+    clearTimeout(state.autosaveTimer);
+    saveWorkspace();
+}
+
+// Returns whether the workspace was saved; the first failure in a row is shown to the user
+async function saveWorkspace() {
+    state.autosaveTimer = null;
+    const meta = state.workspaces.find(w => w.id === state.workspaceId);
+    if (!meta) return true;
+
+    meta.updatedAt = Date.now();
+    state.savingWorkspace++;
+    try {
+        await workspaceRequest('readwrite', store => store.put({ ...meta, snapshot: getWorkspaceSnapshot() }));
+        state.saveFailed = false;
+        return true;
+    } catch (err) {
+        console.error('Could not save workspace:', err);
+        if (!state.saveFailed) {
+            alert(`Could not save workspace "${meta.name}": ${err.message}. Save Project to keep a copy of your work.`);
+        }
+        state.saveFailed = true;
+        return false;
+    } finally {
+        state.savingWorkspace--;
+    }
+}
+
+async function switchWorkspace(id) {
+    if (id === state.workspaceId) return;
+
+    const previousId = state.workspaceId;
+    let previous = null;
+    try {
+        // Save the current workspace before leaving it, and stay if that fails
+        clearTimeout(state.autosaveTimer);
+        if (!(await saveWorkspace())) return;
+
+        const record = await workspaceRequest('readonly', store => store.get(id));
+        if (!record) throw new Error('it no longer exists');
+
+        previous = getWorkspaceSnapshot();
+        state.workspaceReady = false;
+        state.workspaceId = id;
+        localStorage.setItem(CURRENT_WORKSPACE_KEY, id);
+        applyWorkspaceSnapshot(record.snapshot);
+        state.workspaceReady = true;
+    } catch (err) {
+        console.error('Could not switch workspace:', err);
+        alert(`Could not open the workspace: ${err.message}`);
+
+        // Go back to the workspace we left, so autosave keeps saving it
+        if (previous) {
+            state.workspaceId = previousId;
+            localStorage.setItem(CURRENT_WORKSPACE_KEY, previousId);
+            applyWorkspaceSnapshot(previous);
+            state.workspaceReady = true;
+        }
+    } finally {
+        updateWorkspaceSwitcher();
+    }
+}
+
+async function createWorkspace() {
+    const name = prompt('Name for the new workspace (e.g. class or school year):');
+    if (!name || !name.trim()) return;
+
+    try {
+        await addWorkspace(name.trim(), emptySnapshot);
+    } catch (err) {
+        console.error('Could not create workspace:', err);
+        alert(`Could not create the workspace: ${err.message}`);
+    }
+}
+
+// Store a new workspace and switch to it
+async function addWorkspace(name, snapshot) {
+    const record = { id: `workspace-${Date.now()}`, name, updatedAt: Date.now(), snapshot };
+    await workspaceRequest('readwrite', store => store.put(record));
+    state.workspaces.push({ id: record.id, name: record.name, updatedAt: record.updatedAt });
+    await switchWorkspace(record.id);
+}
+
+async function renameWorkspace() {
+    const meta = state.workspaces.find(w => w.id === state.workspaceId);
+    if (!meta) return;
+
+    const name = prompt('Rename workspace:', meta.name);
+    if (!name || !name.trim()) return;
+
+    meta.name = name.trim();
+    if (await saveWorkspace()) updateWorkspaceSwitcher();
+}
+
+async function deleteWorkspace() {
+    if (state.workspaces.length <= 1) {
+        alert('This is the only workspace. Create another one before deleting it.');
+        return;
+    }
+
+    const meta = state.workspaces.find(w => w.id === state.workspaceId);
+    if (!meta || !confirm(`Delete workspace "${meta.name}" and all of its data?`)) return;
+
+    clearTimeout(state.autosaveTimer);
+    state.autosaveTimer = null;
+    try {
+        await workspaceRequest('readwrite', store => store.delete(meta.id));
+    } catch (err) {
+        console.error('Could not delete workspace:', err);
+        alert(`Could not delete workspace "${meta.name}": ${err.message}`);
+        return;
+    }
+    state.workspaces = state.workspaces.filter(w => w.id !== meta.id);
+
+    // Load the next workspace without saving the deleted one back
+    state.workspaceId = null;
+    await switchWorkspace(state.workspaces[0].id);
+}
+
+function updateWorkspaceSwitcher() {
+    const select = document.getElementById('workspaceSelect');
+    select.innerHTML = state.workspaces
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(w => `<option value="${w.id}" ${w.id === state.workspaceId ? 'selected' : ''}>${escapeHtml(w.name)}</option>`)
+        .join('');
+}
+
+// ===== Project Files =====
+// A project file carries a whole workspace between machines:
+//   { format: 'scc-project', version, exportedAt, name, snapshot }
+// `snapshot` has the same shape as a saved workspace (see getWorkspaceSnapshot).
+// This is separate from the per-student Word Analyzer export.
+const PROJECT_FORMAT = 'scc-project';
+const PROJECT_VERSION = 1;
+
+// Each step upgrades a project file from one version to the next
+const PROJECT_MIGRATIONS = [];
+
+function isProjectFile(data) {
+    return data?.format === PROJECT_FORMAT;
+}
+
+function exportProject() {
+    const name = state.workspaces.find(w => w.id === state.workspaceId)?.name || 'Workspace';
+    const project = {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        exportedAt: new Date().toISOString(),
+        name,
+        snapshot: getWorkspaceSnapshot()
+    };
+
+    downloadFile(`${slugify(name) || 'workspace'}.scc.json`, JSON.stringify(project, null, 2), 'application/json');
+}
+
+function downloadFile(fileName, content, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function migrateProject(project) {
+    let migrated = project;
+    let step;
+    while (migrated.version !== PROJECT_VERSION && (step = PROJECT_MIGRATIONS.find(m => m.from === migrated.version))) {
+        migrated = { ...step.migrate(migrated), version: step.to };
+    }
+    return migrated;
+}
+
+function isValidProjectDataSet(dataSet) {
+    return Boolean(dataSet) && typeof dataSet === 'object' &&
+        Boolean(dataSet.student) && typeof dataSet.student === 'object' &&
+        Boolean(dataSet.subject) && typeof dataSet.subject === 'object' &&
+        Array.isArray(dataSet.assessments) &&
+        dataSet.assessments.every(a => Boolean(a) && typeof a === 'object' && Boolean(a.celeration));
+}
+
+// Open a project file in a new workspace (or in place when nothing is persisted)
+async function openProject(raw) {
+    const project = migrateProject(raw);
+    if (project.version !== PROJECT_VERSION) {
+        return { status: 'rejected', reason: `Unsupported project file version ${JSON.stringify(raw.version)} (this chart reads ${PROJECT_VERSION})` };
+    }
+
+    const snapshot = project.snapshot;
+    if (!snapshot || typeof snapshot !== 'object' || !snapshot.dataSets || typeof snapshot.dataSets !== 'object' ||
+        !Object.values(snapshot.dataSets).every(isValidProjectDataSet)) {
+        return { status: 'rejected', reason: 'Project file has no valid data sets' };
+    }
+
+    const name = project.name || 'Imported project';
+    if (state.workspaceReady) {
+        await addWorkspace(name, snapshot);
+    } else {
+        applyWorkspaceSnapshot(snapshot);
+    }
+
+    const dataSets = Object.values(snapshot.dataSets);
+    return {
+        status: 'loaded',
+        problems: [],
+        studentName: `Project "${name}" · ${dataSets.length} data sets`,
+        assessmentCount: dataSets.reduce((sum, ds) => sum + ds.assessments.length, 0)
+    };
+}
+
+// ===== Subject Tree UI =====
+function updateSubjectTree() {
+    const container = document.getElementById('subjectTree');
+    let html = '';
+
+    // Show full assessment tree structure
+    for (const [subjectArea, categories] of Object.entries(getSubjectTree())) {
+        const areaId = subjectArea.replace(/\s+/g, '-').toLowerCase();
+        const hasData = state.subjects[subjectArea] && Object.keys(state.subjects[subjectArea]).length > 0;
+
+        html += `
+            <div class="subject-category ${hasData ? 'expanded has-data' : ''}" data-category="${subjectArea}">
+                <div class="subject-category-header" onclick="toggleSubjectCategory('${subjectArea}')">
+                    <span class="category-icon">▶</span>
+                    <span class="${hasData ? '' : 'muted'}">${escapeHtml(subjectArea)}</span>
+                </div>
+                <div class="subject-subcategories">
+        `;
+
+        for (const category of categories) {
+            const categoryDataSets = state.subjects[subjectArea]?.[category] || [];
+            const hasDataForCategory = categoryDataSets.length > 0;
+
+            if (hasDataForCategory) {
+                // Show each data set for this category
+                for (const dataSetId of categoryDataSets) {
+                    const dataSet = state.dataSets[dataSetId];
+                    if (!dataSet) continue;
+
+                    const isActive = state.activeDataSets.includes(dataSetId);
+                    const studentName = dataSet.student.name;
+                    const assessmentCount = dataSet.assessments.length;
+                    const picture = getCurrentLearningPicture(dataSet);
+                    const pictureBadge = picture ? `
+                        <span class="picture-badge ${picture.tone}" title="${picture.label}${isFinite(picture.accuracyImprovement) ? ` (AIM ${formatCeleration(picture.accuracyImprovement)})` : ''}">
+                            ${learningPictureArrows(picture)}
+                        </span>
+                    ` : '';
+
+                    html += `
+                        <label class="subject-item has-data ${isActive ? 'active' : ''}" data-dataset="${dataSetId}">
+                            <input type="checkbox" ${isActive ? 'checked' : ''} onchange="toggleDataSet('${dataSetId}')">
+                            <span class="subject-color" style="background: ${dataSet.color}"></span>
+                            <span class="subject-label">${escapeHtml(category)}</span>
+                            ${pictureBadge}
+                            <span class="subject-count">${escapeHtml(studentName)} (${assessmentCount})</span>
+                        </label>
+                    `;
+                }
+            } else {
+                // Show empty placeholder for this category
+                html += `
+                    <div class="subject-item empty">
+                        <span class="subject-label muted">${escapeHtml(category)}</span>
+                    </div>
+                `;
+            }
+        }
+
+        html += `
+                </div>
+            </div>
+        `;
+    }
+
+    container.innerHTML = html;
+}
+
+// Built-in tree plus any subjects and pinpoints that only exist in imported data
+function getSubjectTree() {
+    const tree = {};
+    for (const [area, categories] of Object.entries(ASSESSMENT_TREE)) {
+        tree[area] = [...categories];
+    }
+    for (const [area, categories] of Object.entries(state.subjects)) {
+        tree[area] = tree[area] || [];
+        Object.keys(categories).forEach(category => {
+            if (!tree[area].includes(category)) tree[area].push(category);
+        });
+    }
+    return tree;
+}
+
+function toggleSubjectCategory(categoryId) {
+    const category = document.querySelector(`[data-category="${categoryId}"]`) ||
+                     document.querySelector(`.subject-category[data-category]`);
+    if (category) {
+        category.classList.toggle('expanded');
+    }
+}
+
+function toggleDataSet(dataSetId) {
+    const index = state.activeDataSets.indexOf(dataSetId);
+    const dataSet = state.dataSets[dataSetId];
+
+    if (index !== -1) {
+        state.activeDataSets.splice(index, 1);
+        if (dataSet) {
+            dataSet.active = false;
+        }
+        // Also remove its series from activeStudents
+        state.activeStudents = state.activeStudents.filter(s => s !== dataSetId);
+    } else {
+        state.activeDataSets.push(dataSetId);
+        if (dataSet) {
+            dataSet.active = true;
+            // Also add its series to activeStudents
+            if (!state.activeStudents.includes(dataSetId)) {
+                state.activeStudents.push(dataSetId);
+            }
+        }
+    }
+
+    updateSubjectTree();
+    updateStudentList();
+    updatePhasePanel();
+    updateAimPanel();
+    updateSameDayPanel();
+    drawChart();
+    scheduleAutosave();
+    updateStats();
+    updateLegend();
+    updatePatternsPanel();
+}
+
+// Make functions globally accessible
+window.toggleSubjectCategory = toggleSubjectCategory;
+window.toggleDataSet = toggleDataSet;
+
+// Find the data set backing a chart series (a data set stands for itself)
+function getStudentDataSet(student) {
+    if (student.student) return student;
+    return state.dataSets[student.dataSetId] || null;
+}
+
+// Student name, plus the pinpoint when that student has more than one series
+function getSeriesName(student) {
+    const dataSet = getStudentDataSet(student);
+    const shared = state.students.filter(s => s.studentId === student.studentId).length > 1;
+    return dataSet && shared ? `${student.name} — ${dataSet.subject.subcategory}` : student.name;
+}
+
+function updateMaxDataDay() {
+    const { days, unitDays } = getChartType();
+    let maxDay = days; // Default to the chart type's standard range
+
+    state.students.forEach(student => {
+        if (student.assessments) {
+            const origin = getChartOrigin(student);
+            student.assessments.forEach(assessment => {
+                if (assessment.celeration && assessment.celeration.calendarDay) {
+                    maxDay = Math.max(maxDay, assessment.celeration.calendarDay - origin);
+                }
+            });
+        }
+    });
+
+    // Round up to nearest week (or unit) and add buffer
+    const step = Math.max(7, unitDays);
+    state.maxDataDay = Math.max(days, Math.ceil((maxDay + step) / step) * step);
+}
+
+// ===== UI Updates =====
+function updateStudentList() {
+    const container = document.getElementById('studentList');
+
+    if (state.students.length === 0) {
+        container.innerHTML = '<p class="empty-state">No data loaded</p>';
+        return;
+    }
+
+    container.innerHTML = state.students.map((student, index) => `
+        <div class="student-item ${state.activeStudents.includes(student.id) ? 'active' : ''}"
+             data-id="${student.id}" style="color: ${student.color}">
+            <span class="student-color"></span>
+            <span class="student-name">${escapeHtml(getSeriesName(student))}</span>
+            <span class="student-count">${student.assessments.length} assessments</span>
+            <button class="remove-btn" data-id="${student.id}" title="Remove">&times;</button>
+        </div>
+    `).join('');
+
+    // Add click handlers
+    container.querySelectorAll('.student-item').forEach(item => {
+        item.addEventListener('click', (e) => {
+            if (e.target.classList.contains('remove-btn')) return;
+
+            const id = item.dataset.id;
+            if (state.activeStudents.includes(id)) {
+                state.activeStudents = state.activeStudents.filter(s => s !== id);
+                item.classList.remove('active');
+            } else {
+                state.activeStudents.push(id);
+                item.classList.add('active');
+            }
+            drawChart();
+            scheduleAutosave();
+            updateStats();
+            updateLegend();
+            updatePatternsPanel();
+        });
+    });
+
+    container.querySelectorAll('.remove-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
             e.stopPropagation();
             const id = btn.dataset.id;
             state.students = state.students.filter(s => s.id !== id);
             state.activeStudents = state.activeStudents.filter(s => s !== id);
             updateStudentList();
             drawChart();
-            updateStats();
-            updateLegend();
-            updatePatternsPanel();
+            scheduleAutosave();
+            updateStats();
+            updateLegend();
+            updatePatternsPanel();
+        });
+    });
+}
+
+function updateStats() {
+    const panel = document.getElementById('statsPanel');
+
+    if (state.activeStudents.length === 0) {
+        panel.innerHTML = '<p class="empty-state">Select a student</p>';
+        return;
+    }
+
+    // Get first active student for stats
+    const student = state.students.find(s => state.activeStudents.includes(s.id));
+    if (!student) return;
+
+    // Fit the points as charted: daily timings per week on the Daily chart,
+    // weekly/monthly/yearly totals per month or year on the others
+    const { celerationDays, celerationUnit } = getChartType();
+    const correctData = getChartPoints(student, 'correctPerMinute').filter(p => p.value > 0);
+    const errorData = getChartPoints(student, 'errorsPerMinute').filter(p => p.value > 0);
+
+    const correctCeleration = calculateCeleration(correctData, celerationDays);
+    const errorCeleration = calculateCeleration(errorData, celerationDays);
+    const correctBounce = calculateBounce(correctData);
+    const errorBounce = calculateBounce(errorData);
+
+    const dataSet = getStudentDataSet(student);
+    const phases = dataSet?.phases || [];
+    const phaseRows = phases.length > 0 ? calculatePhaseCelerations(correctData, phases, celerationDays).map(segment => `
+        <div class="stat-row">
+            <span class="stat-label">${escapeHtml(segment.label)}</span>
+            <span class="stat-value ${segment.celeration >= 1 ? 'positive' : 'negative'}">
+                ${formatCeleration(segment.celeration)}
+            </span>
+        </div>
+        ${segment.jump !== null ? `
+        <div class="stat-row stat-row-detail">
+            <span class="stat-label">Jump / Turn</span>
+            <span class="stat-value neutral">
+                ${formatCeleration(segment.jump)} / ${segment.turn >= 1 ? '↑' : '↓'} ${formatCeleration(segment.turn)}
+            </span>
+        </div>
+        ` : ''}
+    `).join('') : '';
+
+    const aimRows = (dataSet?.aims || []).map(aim => {
+        const result = evaluateAim(aim, student);
+        return `
+        <div class="stat-row">
+            <span class="stat-label" title="${escapeHtml(result.detail)}">${escapeHtml(describeAim(aim))}</span>
+            <span class="stat-value ${result.onTrack ? 'positive' : 'negative'}">
+                ${result.onTrack ? 'On track' : 'Behind'}
+            </span>
+        </div>
+    `;
+    }).join('');
+
+    panel.innerHTML = `
+        <div class="stat-row">
+            <span class="stat-label">Student</span>
+            <span class="stat-value neutral">${escapeHtml(student.name)}</span>
+        </div>
+        <div class="stat-row">
+            <span class="stat-label">Assessments</span>
+            <span class="stat-value neutral">${student.assessments.length}</span>
+        </div>
+        <div class="stat-row">
+            <span class="stat-label">Avg Accuracy</span>
+            <span class="stat-value neutral">${student.summary?.averages?.accuracy || 'N/A'}%</span>
+        </div>
+        <div class="stat-row">
+            <span class="stat-label">Avg WPM</span>
+            <span class="stat-value neutral">${student.summary?.averages?.wpm || 'N/A'}</span>
+        </div>
+        <div class="stat-row">
+            <span class="stat-label">Fit Method</span>
+            <span class="stat-value neutral">${escapeHtml(getFitMethodLabel())}</span>
+        </div>
+        <div class="stat-row">
+            <span class="stat-label">Correct Celeration / ${celerationUnit}</span>
+            <span class="stat-value ${correctCeleration >= 1 ? 'positive' : 'negative'}">
+                ${formatCeleration(correctCeleration)}
+            </span>
+        </div>
+        <div class="stat-row">
+            <span class="stat-label">Error Celeration / ${celerationUnit}</span>
+            <span class="stat-value ${errorCeleration <= 1 ? 'positive' : 'negative'}">
+                ${formatCeleration(errorCeleration)}
+            </span>
+        </div>
+        <div class="stat-row">
+            <span class="stat-label">Correct Bounce</span>
+            <span class="stat-value neutral">${formatBounce(correctBounce)}</span>
+        </div>
+        <div class="stat-row">
+            <span class="stat-label">Error Bounce</span>
+            <span class="stat-value neutral">${formatBounce(errorBounce)}</span>
+        </div>
+        ${phaseRows ? `<div class="stat-subheader">Correct Celeration by Phase (per ${celerationUnit})</div>${phaseRows}` : ''}
+        ${aimRows ? `<div class="stat-subheader">Aims</div>${aimRows}` : ''}
+    `;
+}
+
+function updateLegend() {
+    const legend = document.getElementById('chartLegend');
+    const items = [];
+
+    state.activeMetrics.forEach(metric => {
+        const color = CONFIG.metricColors[metric];
+        const label = getMetricLabel(metric);
+        const symbol = isErrorMetric(metric) ?
+            `<span class="legend-x" style="color: ${color}">X</span>` :
+            `<span class="legend-dot" style="background: ${color}"></span>`;
+
+        items.push(`
+            <div class="legend-item">
+                ${symbol}
+                <span>${label}</span>
+            </div>
+        `);
+    });
+
+    legend.innerHTML = items.join('');
+}
+
+// Metric label as plotted: aggregated frequencies are counts per week/month/year
+function getChartPointLabel(metric) {
+    const type = getChartType();
+    if (type.unitDays === 1 || !COUNT_METRICS.includes(metric)) return getMetricLabel(metric);
+    return `${getMetricLabel(metric).replace('/min', '')}/${type.unit}`;
+}
+
+function getMetricLabel(metric) {
+    const labels = {
+        correctPerMinute: 'Correct/min',
+        errorsPerMinute: 'Errors/min',
+        wpm: 'Words/min',
+        accuracy: 'Accuracy %',
+        prosody: 'Prosody',
+        skippedPerMinute: 'Skipped/min',
+        misreadPerMinute: 'Misread/min',
+        substitutedPerMinute: 'Substituted/min',
+        hesitationsPerMinute: 'Hesitations/min',
+        repeatedPerMinute: 'Repeated/min'
+    };
+    return labels[metric] || metric;
+}
+
+// ===== Chart Drawing =====
+function drawChart() {
+    const { ctx, canvas } = state;
+    updateAlignStartInput();
+    renderChart(ctx, canvas.clientWidth, canvas.clientHeight);
+    drawSelectionOverlay();
+}
+
+// Draw the chart at width × height. `ctx` may be the on-screen canvas context
+// or any object with the same API subset (see VectorContext for exports).
+function renderChart(ctx, width, height, paper = state.displayOptions.paperMode) {
+    const layout = getChartLayout(width, height, paper);
+    paper = layout.paper;
+    const zoomConfig = getZoomConfig();
+    const xMax = state.zoom;
+
+    // Clear canvas
+    ctx.clearRect(0, 0, width, height);
+
+    // The bottom axis label sits under the canvas, in the page
+    const unitLabel = document.querySelector('.chart-footer .x-label');
+    if (unitLabel) unitLabel.textContent = getChartType().unitLabel;
+
+    // Chart dimensions
+    const { chartWidth, chartHeight } = layout;
+
+    // Draw background - vintage paper cream
+    ctx.fillStyle = CONFIG.colors.paperCream;
+    ctx.fillRect(0, 0, width, height);
+
+    // Draw chart area
+    ctx.save();
+    ctx.translate(layout.left, layout.top);
+
+    // Draw grid
+    drawGrid(ctx, chartWidth, chartHeight, xMax, zoomConfig);
+    const daily = getChartType() === CONFIG.chartTypes.daily;
+    if (paper || (isCalendarAligned() && daily)) {
+        drawSundayLines(ctx, chartWidth, chartHeight, xMax, paper);
+    }
+    if (daily) {
+        drawCountingTimeScale(ctx, chartWidth, chartHeight);
+    }
+
+    // Draw axes
+    drawAxes(ctx, chartWidth, chartHeight, xMax, zoomConfig);
+
+    // Draw data for each active student and metric
+    state.activeStudents.forEach(studentId => {
+        const student = state.students.find(s => s.id === studentId);
+        if (!student) return;
+
+        drawPhaseLines(ctx, student, chartWidth, chartHeight, xMax);
+        drawAims(ctx, student, chartWidth, chartHeight, xMax);
+        if (state.displayOptions.showRecordFloor && daily) {
+            drawRecordFloor(ctx, student, chartWidth, chartHeight, xMax);
+        }
+
+        state.activeMetrics.filter(metric => !isLinearMetric(metric)).forEach(metric => {
+            drawDataSeries(ctx, student, metric, chartWidth, chartHeight, xMax);
+        });
+    });
+
+    ctx.restore();
+
+    if (layout.panel) {
+        drawLinearPanel(ctx, layout, zoomConfig);
+    }
+    if (layout.errorPanel) {
+        drawErrorComposition(ctx, layout, zoomConfig);
+    }
+
+    // Draw axis labels
+    drawAxisLabels(ctx, layout);
+
+    if (paper) {
+        drawPaperFields(ctx, layout);
+    }
+}
+
+function drawGrid(ctx, width, height, xMax, zoomConfig) {
+    const panOffset = state.panOffset;
+    const { groupDays } = getChartType();
+
+    drawUnitLines(ctx, width, height, xMax, zoomConfig);
+
+    // Week (month, year, decade) number labels at top (adjusted for pan offset) - matching original SCC
+    ctx.fillStyle = CONFIG.colors.sccCyan;
+    ctx.font = "300 10px Inter, sans-serif";
+    ctx.textAlign = 'center';
+
+    const groupInterval = zoomConfig.groupInterval;
+    const startGroup = Math.ceil(panOffset / groupDays / groupInterval) * groupInterval;
+    const maxGroups = Math.ceil((panOffset + xMax) / groupDays);
+    for (let group = startGroup; group <= maxGroups; group += groupInterval) {
+        const x = chartDayToX(group * groupDays, width);
+        if (x >= 0 && x <= width) {
+            ctx.fillText(group.toString(), x, -8);
+        }
+    }
+
+    // Horizontal grid lines (logarithmic) - cyan like original SCC
+    const grid = getLogGrid();
+    grid.lines.forEach(value => {
+        const y = valueToY(value, height);
+        const isMajor = grid.major.includes(value);
+        const isMid = grid.mid.includes(value);
+
+        if (isMajor) {
+            // Decade lines (1, 10, 100, etc.) - darkest cyan
+            ctx.strokeStyle = CONFIG.colors.sccGridMajor;
+            ctx.lineWidth = 1.5;
+        } else if (isMid) {
+            // Mid-decade lines (5, 50, 500, etc.) - medium cyan
+            ctx.strokeStyle = CONFIG.colors.sccGridMid;
+            ctx.lineWidth = 1;
+        } else {
+            // Other intermediate lines (2,3,4,6,7,8,9) - lightest cyan
+            ctx.strokeStyle = CONFIG.colors.sccGridMinor;
+            ctx.lineWidth = 0.5;
+        }
+
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+    });
+}
+
+function drawAxes(ctx, width, height, xMax, zoomConfig) {
+    // Y-axis labels - matching original SCC chart style
+    ctx.fillStyle = CONFIG.colors.sccCyan;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+
+    // Helper function to format Y-axis labels like original SCC
+    const formatYLabel = (value) => {
+        if (value >= 1000000) {
+            return `${value / 1000000}M`;
+        } else if (value >= 10000) {
+            return `${value / 1000}K`;
+        } else if (value >= 1) {
+            return value.toString();
+        } else {
+            // Format as .5, .1, .05, .01, .005, .001 (without leading zero)
+            return '.' + value.toString().split('.')[1];
+        }
+    };
+
+    // Major lines (powers of 10): 1000, 100, 10, 1, .1, .01, .001 - larger font
+    const grid = getLogGrid();
+    ctx.font = "300 13px Inter, sans-serif";
+    grid.major.forEach(value => {
+        const y = valueToY(value, height);
+        ctx.fillText(formatYLabel(value), -8, y);
+    });
+
+    // Mid-decade lines (5's): 500, 50, 5, .5, .05, .005 - smaller font
+    ctx.font = "300 10px Inter, sans-serif";
+    grid.mid.forEach(value => {
+        const y = valueToY(value, height);
+        ctx.fillText(formatYLabel(value), -8, y);
+    });
+
+    // X-axis labels (adjusted for pan offset) - matching original SCC
+    ctx.fillStyle = CONFIG.colors.sccCyan;
+    ctx.font = "300 13px Inter, sans-serif";
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+
+    const { unitDays } = getChartType();
+    const unitInterval = zoomConfig.unitInterval;
+    const panOffset = state.panOffset;
+    const firstUnit = Math.ceil(panOffset / unitDays / unitInterval) * unitInterval;
+    // Calendar-aligned days and weeks also get their date under the tick
+    const start = isCalendarAligned() && unitDays <= 7 ? getChartStartTime() : null;
+    const msPerDay = 24 * 60 * 60 * 1000;
+
+    for (let unit = firstUnit; unit * unitDays <= panOffset + xMax; unit += unitInterval) {
+        const x = chartDayToX(unit * unitDays, width);
+        ctx.font = "300 13px Inter, sans-serif";
+        ctx.fillText(unit.toString(), x, height + 10);
+
+        if (start !== null) {
+            ctx.font = "300 10px Inter, sans-serif";
+            ctx.fillText(formatShortDate(start + unit * unitDays * msPerDay), x, height + 28);
+        }
+    }
+}
+
+// Vertical grid lines (calendar days, weeks, months or years) - cyan like original SCC
+function drawUnitLines(ctx, width, height, xMax, zoomConfig) {
+    const panOffset = state.panOffset;
+    const { unitDays } = getChartType();
+
+    ctx.strokeStyle = CONFIG.colors.sccGridMinor;
+    ctx.lineWidth = 1;
+
+    const unitInterval = zoomConfig.unitInterval;
+    const firstUnit = Math.ceil(panOffset / unitDays / unitInterval) * unitInterval;
+    for (let unit = firstUnit; unit * unitDays <= panOffset + xMax; unit += unitInterval) {
+        const x = chartDayToX(unit * unitDays, width);
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+    }
+}
+
+// Log grid of the current chart type: original SCC is 6-cycle semi-log paper
+// with lines at 1-9 within each decade, labels on the decades and the 5s
+function getLogGrid() {
+    const { yMin, yMax } = getChartType();
+    const grid = { lines: [], major: [], mid: [] };
+
+    for (let exponent = Math.round(Math.log10(yMin)); exponent < Math.round(Math.log10(yMax)); exponent++) {
+        for (let step = 1; step <= 9; step++) {
+            // Round away floating point noise (0.003 rather than 0.0030000000000000005)
+            const value = parseFloat((step * Math.pow(10, exponent)).toPrecision(1));
+            grid.lines.push(value);
+            if (step === 1) grid.major.push(value);
+            if (step === 5) grid.mid.push(value);
+        }
+    }
+    grid.lines.push(yMax);
+    grid.major.push(yMax);
+
+    return grid;
+}
+
+function drawAxisLabels(ctx, layout) {
+    const { left, top, chartWidth, chartHeight } = layout;
+
+    // Y-axis label (rotated) - matching original SCC
+    ctx.save();
+    ctx.fillStyle = CONFIG.colors.sccCyan;
+    ctx.font = "400 13px Inter, sans-serif";
+    ctx.textAlign = 'center';
+    ctx.translate(left - 62, top + chartHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(getChartType().countLabel, 0, 0);
+    ctx.restore();
+
+    // Week label at top - matching original SCC (above the Sunday dates on paper)
+    ctx.fillStyle = CONFIG.colors.sccCyan;
+    ctx.font = "400 13px Inter, sans-serif";
+    ctx.textAlign = 'center';
+    ctx.fillText(getChartType().groupLabel, left + chartWidth / 2, top - (layout.paper ? 52 : 42));
+}
+
+// ===== Linear Panel =====
+// Accuracy % and prosody are not frequencies, so they are drawn on their own
+// linear scales in a panel under the SCC. The panel shares the SCC's x mapping
+// (pan, zoom, chart type and alignment); no celeration is fitted to them.
+function isLinearMetric(metric) {
+    return metric in CONFIG.linearMetrics;
+}
+
+// Active linear metrics, if the current view has room for the panel
+function getLinearMetrics() {
+    if (state.displayOptions.paperMode && getChartType() === CONFIG.chartTypes.daily) return [];
+    return state.activeMetrics.filter(isLinearMetric);
+}
+
+function linearValueToY(value, metric, panelHeight) {
+    const { min, max } = CONFIG.linearMetrics[metric];
+    const clamped = Math.max(min, Math.min(max, value));
+    return panelHeight * (1 - (clamped - min) / (max - min));
+}
+
+function drawLinearPanel(ctx, layout, zoomConfig) {
+    const { left, chartWidth, panel } = layout;
+    const metrics = getLinearMetrics();
+    const xMax = state.zoom;
+    const panOffset = state.panOffset;
+
+    ctx.save();
+    ctx.translate(left, panel.top);
+
+    // Grid: the shared day lines, five linear steps and a frame
+    drawUnitLines(ctx, chartWidth, panel.height, xMax, zoomConfig);
+    for (let i = 0; i <= 5; i++) {
+        const y = (panel.height * i) / 5;
+        ctx.strokeStyle = i === 0 || i === 5 ? CONFIG.colors.sccGridMajor : CONFIG.colors.sccGridMinor;
+        ctx.lineWidth = i === 0 || i === 5 ? 1.5 : 0.5;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(chartWidth, y);
+        ctx.stroke();
+    }
+
+    // Each metric labels its scale on its own side
+    ctx.fillStyle = CONFIG.colors.sccCyan;
+    ctx.font = "300 10px Inter, sans-serif";
+    ctx.textBaseline = 'middle';
+    metrics.forEach(metric => {
+        const { min, max, step, axisLabel, side } = CONFIG.linearMetrics[metric];
+        const x = side === 'left' ? -8 : chartWidth + 8;
+        ctx.textAlign = side === 'left' ? 'right' : 'left';
+        for (let value = min; value <= max; value += step) {
+            ctx.fillText(value.toString(), x, linearValueToY(value, metric, panel.height));
+        }
+
+        ctx.save();
+        ctx.translate(side === 'left' ? -62 : chartWidth + 42, panel.height / 2);
+        ctx.rotate(side === 'left' ? -Math.PI / 2 : Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.font = "400 11px Inter, sans-serif";
+        ctx.fillText(axisLabel, 0, 0);
+        ctx.restore();
+    });
+
+    // Series: points joined by lines, one colour per metric
+    state.activeStudents.forEach(studentId => {
+        const student = state.students.find(s => s.id === studentId);
+        if (!student) return;
+        const minDay = getChartOrigin(student);
+
+        metrics.forEach(metric => {
+            const color = CONFIG.metricColors[metric];
+            const points = getChartPoints(student, metric)
+                .map(p => ({ x: chartDayToX(p.day - minDay, chartWidth), y: linearValueToY(p.value, metric, panel.height), day: p.day - minDay }))
+                .filter(p => p.day >= panOffset && p.day <= panOffset + xMax);
+
+            if (state.displayOptions.connectPoints && points.length > 1) {
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 1.5;
+                ctx.globalAlpha = 0.7;
+                ctx.beginPath();
+                points.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+                ctx.stroke();
+                ctx.globalAlpha = 1;
+            }
+
+            if (state.displayOptions.showDataPoints) {
+                points.forEach(p => drawDot(ctx, p.x, p.y, 3.5, color));
+            }
+        });
+    });
+
+    ctx.restore();
+}
+
+// ===== Error Subtypes =====
+// Each assessment's `errors` counts, charted as their own per-minute series.
+// Only `inTotal` subtypes count toward the error total; hesitations and
+// repeats are recorded alongside it.
+const ERROR_TYPES = {
+    skippedPerMinute: { field: 'skipped', label: 'Skipped', inTotal: true },
+    misreadPerMinute: { field: 'misread', label: 'Misread', inTotal: true },
+    substitutedPerMinute: { field: 'substituted', label: 'Substituted', inTotal: true },
+    hesitationsPerMinute: { field: 'hesitations', label: 'Hesitations', inTotal: false },
+    repeatedPerMinute: { field: 'repeated', label: 'Repeated', inTotal: false }
+};
+
+// Stacking order of the composition bars, bottom up; `other` is the part of
+// Errors/min the subtypes don't account for, so each bar is as tall as Errors/min
+const STACKED_ERROR_TYPES = [...Object.keys(ERROR_TYPES).filter(m => ERROR_TYPES[m].inTotal), 'other'];
+const MARKED_ERROR_TYPES = Object.keys(ERROR_TYPES).filter(m => !ERROR_TYPES[m].inTotal);
+
+function getCompositionLabel(metric) {
+    return metric === 'other' ? 'Other' : ERROR_TYPES[metric].label;
+}
+
+function isErrorMetric(metric) {
+    return metric === 'errorsPerMinute' || metric in ERROR_TYPES;
+}
+
+function hasErrorComposition() {
+    if (state.displayOptions.paperMode && getChartType() === CONFIG.chartTypes.daily) return false;
+    return state.displayOptions.showErrorComposition;
+}
+
+// Error subtype frequencies of the first charted student, one row per plotted
+// day (or week, month, year): { day (chart day), date, values, total (Errors/min), timings }
+function getErrorComposition() {
+    const student = state.students.find(s => state.activeStudents.includes(s.id));
+    if (!student) return { student: null, rows: [] };
+
+    const minDay = getChartOrigin(student);
+    const rows = new Map();
+    getChartPoints(student, 'errorsPerMinute').forEach(point => {
+        if (!rows.has(point.day)) {
+            rows.set(point.day, { day: point.day - minDay, date: point.date, values: {}, total: 0, timings: 0 });
+        }
+        const row = rows.get(point.day);
+        row.total += point.value;
+        row.timings++;
+    });
+    Object.keys(ERROR_TYPES).forEach(metric => {
+        getChartPoints(student, metric).forEach(point => {
+            const row = rows.get(point.day);
+            if (row) row.values[metric] = (row.values[metric] || 0) + point.value;
+        });
+    });
+
+    // With every same-day timing charted, a day's rates are averaged over its timings
+    rows.forEach(row => {
+        row.total /= row.timings;
+        Object.keys(row.values).forEach(metric => { row.values[metric] /= row.timings; });
+        const counted = STACKED_ERROR_TYPES.reduce((sum, metric) => sum + (row.values[metric] || 0), 0);
+        // Stored rates are rounded, so ignore a gap smaller than that rounding
+        const gap = row.total - counted;
+        row.values.other = gap > 0.05 ? gap : 0;
+    });
+
+    return { student, rows: [...rows.values()].sort((a, b) => a.day - b.day) };
+}
+
+// Smallest 1, 2 or 5 × 10^n at or above a value
+function niceCeil(value) {
+    if (!(value > 0)) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    return [1, 2, 5, 10].map(step => step * magnitude).find(nice => nice >= value);
+}
+
+// Width of one stacked bar: most of a day (week, month, year), within limits
+function getCompositionBarWidth(chartWidth) {
+    const unitWidth = (chartWidth * getChartType().unitDays) / state.zoom;
+    return Math.max(2, Math.min(18, unitWidth * 0.7));
+}
+
+// Stacked bars of error subtype frequencies over time, so a falling type and a
+// rising one can be told apart even when total errors stay flat
+function drawErrorComposition(ctx, layout, zoomConfig) {
+    const { left, chartWidth, errorPanel } = layout;
+    const { student, rows } = getErrorComposition();
+    const xMax = state.zoom;
+    const panOffset = state.panOffset;
+    const visibleRows = rows.filter(row => row.day >= panOffset && row.day <= panOffset + xMax);
+    const yMax = niceCeil(Math.max(0, ...visibleRows.map(row =>
+        Math.max(row.total, ...MARKED_ERROR_TYPES.map(metric => row.values[metric] || 0)))));
+    const toY = (value) => errorPanel.height * (1 - value / yMax);
+
+    ctx.save();
+    ctx.translate(left, errorPanel.top);
+
+    drawUnitLines(ctx, chartWidth, errorPanel.height, xMax, zoomConfig);
+    ctx.fillStyle = CONFIG.colors.sccCyan;
+    ctx.font = "300 10px Inter, sans-serif";
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let i = 0; i <= 4; i++) {
+        const value = (yMax * i) / 4;
+        const y = toY(value);
+        ctx.strokeStyle = i === 0 || i === 4 ? CONFIG.colors.sccGridMajor : CONFIG.colors.sccGridMinor;
+        ctx.lineWidth = i === 0 || i === 4 ? 1.5 : 0.5;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(chartWidth, y);
+        ctx.stroke();
+        ctx.fillText(parseFloat(value.toPrecision(3)).toString(), -8, y);
+    }
+
+    ctx.save();
+    ctx.translate(-62, errorPanel.height / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.font = "400 11px Inter, sans-serif";
+    ctx.fillText(getChartType().countLabel.replace('COUNT', 'ERRORS'), 0, 0);
+    ctx.restore();
+
+    // Key down the right-hand side, in stacking order from the bottom, then the
+    // subtypes marked across the bars
+    ctx.textAlign = 'left';
+    ctx.font = "400 10px Inter, sans-serif";
+    [...STACKED_ERROR_TYPES, ...MARKED_ERROR_TYPES].forEach((metric, i) => {
+        const y = errorPanel.height - 6 - i * 14;
+        ctx.fillStyle = getCompositionColor(metric);
+        if (STACKED_ERROR_TYPES.includes(metric)) {
+            ctx.fillRect(chartWidth + 8, y - 4, 8, 8);
+        } else {
+            ctx.fillRect(chartWidth + 8, y - 1, 8, 2);
+        }
+        ctx.fillText(getCompositionLabel(metric), chartWidth + 20, y);
+    });
+    if (student) {
+        ctx.fillStyle = CONFIG.colors.inkNavy;
+        ctx.fillText(getSeriesName(student), 4, 8);
+    }
+
+    const barWidth = getCompositionBarWidth(chartWidth);
+    visibleRows.forEach(row => {
+        const x = chartDayToX(row.day, chartWidth) - barWidth / 2;
+        let base = 0;
+        STACKED_ERROR_TYPES.forEach(metric => {
+            const value = row.values[metric] || 0;
+            if (value <= 0) return;
+            ctx.fillStyle = getCompositionColor(metric);
+            ctx.globalAlpha = 0.85;
+            ctx.fillRect(x, toY(base + value), barWidth, toY(base) - toY(base + value));
+            base += value;
+        });
+        // Hesitations and repeats aren't errors: a line at their own rate, not a band
+        ctx.globalAlpha = 1;
+        MARKED_ERROR_TYPES.forEach(metric => {
+            const value = row.values[metric] || 0;
+            if (value <= 0) return;
+            ctx.fillStyle = getCompositionColor(metric);
+            ctx.fillRect(x - 2, toY(value) - 1, barWidth + 4, 2);
+        });
+    });
+    ctx.globalAlpha = 1;
+    ctx.restore();
+}
+
+function getCompositionColor(metric) {
+    return CONFIG.metricColors[metric === 'other' ? 'otherErrors' : metric];
+}
+
+// Tooltip listing the subtypes of the bar under the cursor (x relative to the plot)
+function showCompositionTooltip(x, layout) {
+    const tooltip = document.getElementById('tooltip');
+    const { student, rows } = getErrorComposition();
+    const halfBar = getCompositionBarWidth(layout.chartWidth) / 2 + 2;
+    const row = rows.find(r => Math.abs(chartDayToX(r.day, layout.chartWidth) - x) <= halfBar);
+
+    if (!row) {
+        tooltip.classList.remove('visible');
+        return;
+    }
+
+    tooltip.innerHTML = `
+        <div class="tooltip-title">${escapeHtml(getSeriesName(student))}</div>
+        <div class="tooltip-row">
+            <span>Date</span>
+            <span class="value">${row.date}</span>
+        </div>
+        <div class="tooltip-row">
+            <span>${getChartPointLabel('errorsPerMinute')}</span>
+            <span class="value">${row.total.toFixed(2)}</span>
+        </div>
+        ${[...STACKED_ERROR_TYPES, ...MARKED_ERROR_TYPES].map(metric => `
+        <div class="tooltip-row">
+            <span>${metric === 'other' ? 'Other' : getChartPointLabel(metric)}</span>
+            <span class="value">${(row.values[metric] || 0).toFixed(2)}</span>
+        </div>
+        `).join('')}
+    `;
+    tooltip.style.left = (chartDayToX(row.day, layout.chartWidth) + layout.left + 15) + 'px';
+    tooltip.style.top = (layout.errorPanel.top - 10) + 'px';
+    tooltip.classList.add('visible');
+}
+
+// ===== Counting Times and Record Floor =====
+// A timing of t minutes can record no less than one count, so its record
+// floor is 1/t per minute. The right axis marks the standard counting times there.
+const COUNTING_TIMES = [
+    { minutes: 1 / 6, label: '10 sec' },
+    { minutes: 0.25, label: '15 sec' },
+    { minutes: 1 / 3, label: '20 sec' },
+    { minutes: 0.5, label: '30 sec' },
+    { minutes: 1, label: '1 min' },
+    { minutes: 2, label: '2 min' },
+    { minutes: 5, label: '5 min' },
+    { minutes: 10, label: '10 min' },
+    { minutes: 20, label: '20 min' },
+    { minutes: 50, label: '50 min' },
+    { minutes: 100, label: '100 min' },
+    { minutes: 200, label: '200 min' },
+    { minutes: 500, label: '500 min' },
+    { minutes: 1000, label: '1000 min' }
+];
+
+// Zero counts are charted this far below their record floor
+const ZERO_BELOW_FLOOR = 8;
+
+function drawCountingTimeScale(ctx, width, height) {
+    ctx.save();
+    ctx.strokeStyle = CONFIG.colors.sccGridMajor;
+    ctx.fillStyle = CONFIG.colors.sccCyan;
+    ctx.lineWidth = 1;
+    ctx.font = "300 10px Inter, sans-serif";
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+
+    COUNTING_TIMES.forEach(({ minutes, label }) => {
+        const y = valueToY(1 / minutes, height);
+        ctx.beginPath();
+        ctx.moveTo(width, y);
+        ctx.lineTo(width + 6, y);
+        ctx.stroke();
+        ctx.fillText(label, width + 9, y);
+    });
+
+    ctx.translate(width + 66, height / 2);
+    ctx.rotate(Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.font = "400 11px Inter, sans-serif";
+    ctx.fillText('COUNTING TIMES', 0, 0);
+    ctx.restore();
+}
+
+// Record floor as one time-bar line across the student's timings, stepping
+// up or down wherever the counting time changes
+function drawRecordFloor(ctx, student, chartWidth, chartHeight, xMax) {
+    const minDay = getChartOrigin(student);
+    const panOffset = state.panOffset;
+    const points = getDataPoints(student, 'correctPerMinute').filter(p => {
+        const day = p.day - minDay;
+        return p.countingTimeMin > 0 && day >= panOffset && day <= panOffset + xMax;
+    });
+    if (points.length === 0) return;
+
+    ctx.save();
+    ctx.strokeStyle = CONFIG.colors.inkNavy;
+    ctx.lineWidth = 1.5;
+    ctx.globalAlpha = 0.6;
+    ctx.beginPath();
+
+    let previousY = null;
+    points.forEach(point => {
+        const x = chartDayToX(point.day - minDay, chartWidth);
+        const y = valueToY(1 / point.countingTimeMin, chartHeight);
+
+        if (previousY === null) {
+            ctx.moveTo(x - 6, y);
+        } else {
+            ctx.lineTo(x, previousY);
+        }
+        ctx.lineTo(x, y);
+        previousY = y;
+    });
+
+    const last = points[points.length - 1];
+    ctx.lineTo(chartDayToX(last.day - minDay, chartWidth) + 6, previousY);
+    ctx.stroke();
+    ctx.restore();
+}
+
+// y of a plotted point; zero counts sit just below their record floor
+function pointToY(point, chartHeight) {
+    if (point.value > 0) return valueToY(point.value, chartHeight);
+    if (point.countingTimeMin > 0) {
+        return Math.min(chartHeight, valueToY(1 / point.countingTimeMin, chartHeight) + ZERO_BELOW_FLOOR);
+    }
+    return valueToY(getChartType().yMin, chartHeight);
+}
+
+// ===== Paper Chart =====
+// Blanks printed around the official chart, as [key, label] rows
+const PAPER_FIELDS = [
+    [['supervisor', 'Supervisor'], ['adviser', 'Adviser'], ['manager', 'Manager'], ['organization', 'Organization']],
+    [['timer', 'Timer'], ['counter', 'Counter'], ['charter', 'Charter'], ['behaver', 'Behaver'], ['label', 'Label']]
+];
+
+const PAPER_SIZES = {
+    letter: { label: 'Letter', width: 11, height: 8.5, unit: 'in' },
+    a4: { label: 'A4', width: 297, height: 210, unit: 'mm' }
+};
+
+// UTC time of chart day 0: the start Sunday when calendar-aligned,
+// otherwise the first timing of the first charted student
+function getChartStartTime() {
+    for (const studentId of state.activeStudents) {
+        const student = state.students.find(s => s.id === studentId);
+        const dataSet = student && getStudentDataSet(student);
+        if (!dataSet) continue;
+        const date = calendarDayToDate(dataSet, getChartOrigin(student));
+        if (date) return Date.parse(date);
+    }
+    return null;
+}
+
+function formatShortDate(time) {
+    const date = new Date(time);
+    return `${date.getUTCMonth() + 1}/${date.getUTCDate()}/${String(date.getUTCFullYear()).slice(-2)}`;
+}
+
+// Heavier line on every Sunday, dated above the week numbers when `labelled`
+function drawSundayLines(ctx, width, height, xMax, labelled) {
+    const start = getChartStartTime();
+    if (start === null) return;
+
+    const msPerDay = 24 * 60 * 60 * 1000;
+    const panOffset = state.panOffset;
+    const pixelsPerWeek = (width * 7) / xMax;
+    const labelEvery = Math.max(1, Math.ceil(48 / pixelsPerWeek));
+    let sundays = 0;
+
+    ctx.save();
+    ctx.strokeStyle = CONFIG.colors.sccGridMajor;
+    ctx.lineWidth = 1.25;
+    ctx.fillStyle = CONFIG.colors.sccCyan;
+    ctx.font = "300 9px Inter, sans-serif";
+    ctx.textAlign = 'center';
+
+    for (let day = Math.ceil(panOffset); day <= panOffset + xMax; day++) {
+        const time = start + day * msPerDay;
+        if (new Date(time).getUTCDay() !== 0) continue;
+
+        const x = chartDayToX(day, width);
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+
+        if (labelled && sundays % labelEvery === 0) {
+            ctx.fillText(formatShortDate(time), x, -24);
+        }
+        sundays++;
+    }
+    ctx.restore();
+}
+
+// Header/footer blanks below the x-axis: value on a rule, caption underneath
+function drawPaperFields(ctx, layout) {
+    const { left, top, chartWidth, chartHeight } = layout;
+    const rowHeight = 36;
+    let y = top + chartHeight + 54;
+
+    ctx.save();
+    PAPER_FIELDS.forEach(row => {
+        const cellWidth = chartWidth / row.length;
+        row.forEach(([key, label], i) => {
+            const x = left + i * cellWidth;
+
+            ctx.fillStyle = CONFIG.colors.inkNavy;
+            ctx.font = "400 12px Inter, sans-serif";
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'alphabetic';
+            ctx.fillText(state.paperFields[key] || '', x + 4, y - 4);
+
+            ctx.strokeStyle = CONFIG.colors.sccGridMajor;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x + 2, y);
+            ctx.lineTo(x + cellWidth - 8, y);
+            ctx.stroke();
+
+            ctx.fillStyle = CONFIG.colors.sccCyan;
+            ctx.font = "400 9px Inter, sans-serif";
+            ctx.textBaseline = 'top';
+            ctx.fillText(label.toUpperCase(), x + 4, y + 3);
+        });
+        y += rowHeight;
+    });
+    ctx.restore();
+}
+
+function renderPaperForm() {
+    document.getElementById('paperFields').innerHTML = PAPER_FIELDS.flat().map(([key, label]) => `
+        <input type="text" class="form-input" data-paper-field="${key}" placeholder="${label}" title="${label}"
+               value="${escapeHtml(state.paperFields[key] || '')}">
+    `).join('');
+
+    document.querySelectorAll('[data-paper-field]').forEach(input => {
+        input.addEventListener('input', () => {
+            state.paperFields[input.dataset.paperField] = input.value;
+            drawChart();
+        });
+    });
+}
+
+// Paper mode is the Daily chart
+function setPaperMode(enabled) {
+    if (enabled && getChartType() !== CONFIG.chartTypes.daily) setChartType('daily');
+    state.displayOptions.paperMode = enabled;
+    setZoom(enabled ? CONFIG.paper.days : state.zoom);
+}
+
+// Print the paper chart on one landscape page at its official proportions
+function printPaperChart() {
+    const size = PAPER_SIZES[state.displayOptions.paperSize] || PAPER_SIZES.letter;
+    const toPixels = size.unit === 'in' ? 96 : 96 / 25.4;
+    const width = Math.round(size.width * toPixels);
+    const height = Math.round(size.height * toPixels);
+
+    // Render the Daily paper chart off screen, then put the on-screen view back
+    const view = { options: { ...state.displayOptions }, zoom: state.zoom, panOffset: state.panOffset };
+    if (getChartType() !== CONFIG.chartTypes.daily) state.panOffset = 0;
+    Object.assign(state.displayOptions, { chartType: 'daily', paperMode: true });
+    state.zoom = CONFIG.paper.days;
+
+    const ctx = new VectorContext();
+    renderChart(ctx, width, height, true);
+    const svg = ctx.toSVG(width, height, { width: `${size.width}${size.unit}`, height: `${size.height}${size.unit}` });
+
+    state.displayOptions = view.options;
+    state.zoom = view.zoom;
+    state.panOffset = view.panOffset;
+
+    document.getElementById('printArea').innerHTML = svg.replace(/^<\?xml[^>]*>\s*/, '');
+    document.getElementById('printPageStyle').textContent =
+        `@page { size: ${size.width}${size.unit} ${size.height}${size.unit}; margin: 0; }`;
+
+    // Only this print swaps the page for the paper chart; Ctrl+P still prints the dashboard
+    document.body.classList.add('printing-paper');
+    window.addEventListener('afterprint', () => {
+        document.body.classList.remove('printing-paper');
+        document.getElementById('printArea').innerHTML = '';
+        document.getElementById('printPageStyle').textContent = '';
+    }, { once: true });
+    window.print();
+}
+
+function drawDataSeries(ctx, student, metric, chartWidth, chartHeight, xMax) {
+    const color = CONFIG.metricColors[metric];
+    const dataPoints = getChartPoints(student, metric);
+    const panOffset = state.panOffset;
+
+    if (dataPoints.length === 0) return;
+
+    // Chart day 0 of this student (first timing, or the start Sunday when calendar-aligned)
+    const minDay = getChartOrigin(student);
+
+    // Normalize calendar days to chart days
+    const normalizedPoints = dataPoints.map(p => ({
+        ...p,
+        normalizedDay: p.day - minDay
+    }));
+
+    // Filter points within visible pan range [panOffset, panOffset + xMax]
+    const visiblePoints = normalizedPoints.filter(p =>
+        p.normalizedDay >= panOffset && p.normalizedDay <= panOffset + xMax
+    );
+
+    // Also get all points up to panOffset + xMax for celeration calculation
+    const pointsForCeleration = normalizedPoints.filter(p => p.normalizedDay <= panOffset + xMax);
+
+    // Helper function to convert normalized day to x position
+    const dayToX = (normalizedDay) => chartDayToX(normalizedDay, chartWidth);
+
+    // Draw connecting lines
+    if (state.displayOptions.connectPoints && visiblePoints.length > 1) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 0.7;
+        ctx.beginPath();
+
+        let started = false;
+        visiblePoints.forEach(point => {
+            if (point.value <= 0) return;
+
+            const x = dayToX(point.normalizedDay);
+            const y = valueToY(point.value, chartHeight);
+
+            if (!started) {
+                ctx.moveTo(x, y);
+                started = true;
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+
+    // Draw one celeration line per phase (use all points for calculation, but display in visible range)
+    if (state.displayOptions.showCelerationLines && pointsForCeleration.length >= 2) {
+        const validPoints = pointsForCeleration.filter(p => p.value > 0);
+        const phases = getStudentDataSet(student)?.phases || [];
+        let previousFit = null;
+
+        splitIntoPhases(validPoints, phases).forEach(segment => {
+            if (segment.points.length < 2) {
+                previousFit = null;
+                return;
+            }
+
+            const fit = drawCelerationLine(ctx, segment.points, color, chartWidth, chartHeight, xMax, metric, panOffset);
+
+            // Annotate the boundary with the frequency jump and celeration turn
+            if (previousFit && fit && segment.phase) {
+                const boundaryDay = segment.phase.calendarDay - minDay;
+                drawPhaseChange(ctx, previousFit, fit, boundaryDay, color, chartWidth, chartHeight, xMax, panOffset);
+            }
+            previousFit = fit;
+        });
+    }
+
+    // Draw data points
+    if (state.displayOptions.showDataPoints) {
+        visiblePoints.forEach(point => {
+            const x = dayToX(point.normalizedDay);
+            const y = pointToY(point, chartHeight);
+
+            if (isErrorMetric(metric)) {
+                drawXMark(ctx, x, y, 6, color);
+            } else if (point.value === 0) {
+                drawQuestionMark(ctx, x, y, color);
+            } else {
+                drawDot(ctx, x, y, 5, color);
+            }
+        });
+    }
+}
+
+// Points for a student or data set, one per timing or collapsed to one per
+// day by the data set's same-day setting
+function getDataPoints(student, metric) {
+    const dataSet = student.student ? student : getStudentDataSet(student);
+
+    // Error subtypes follow the timing picked for Errors/min, so one day's subtypes
+    // all come from the same timing
+    if (ERROR_TYPES[metric] && SAME_DAY_MODES[dataSet?.sameDay] && dataSet.sameDay !== 'all') {
+        return getDataPoints(student, 'errorsPerMinute')
+            .filter(p => p.assessment.errors)
+            .map(p => ({ ...p, value: getErrorSubtypeRate(p.assessment, metric) }));
+    }
+
+    const points = student.assessments
+        .filter(a => a.celeration)
+        .map(a => {
+            let value;
+            switch(metric) {
+                case 'correctPerMinute':
+                    value = a.celeration.correctPerMinute || 0;
+                    break;
+                case 'errorsPerMinute':
+                    value = a.celeration.errorsPerMinute || 0;
+                    break;
+                // Timings that don't record these (typed-in, spreadsheet, ungraded) are left out, not charted as 0
+                case 'wpm':
+                    value = recordedValue(a.performance?.wpm);
+                    break;
+                case 'accuracy':
+                    value = recordedValue(a.performance?.accuracy);
+                    break;
+                case 'prosody':
+                    value = a.prosody?.grade === 'N/A' ? null : recordedValue(a.prosody?.score);
+                    break;
+                default:
+                    // Timings without an errors breakdown are left out
+                    value = ERROR_TYPES[metric] && a.errors ? getErrorSubtypeRate(a, metric) : null;
+            }
+
+            return {
+                day: a.celeration.calendarDay,
+                value: value,
+                countingTimeMin: a.celeration.countingTimeMin,
+                date: a.celeration.date,
+                time: a.celeration.timestamp || 0,
+                assessment: a
+            };
+        })
+        .filter(p => p.value !== null)
+        .sort((a, b) => a.day - b.day || a.time - b.time);
+
+    return collapseSameDay(points, metric, dataSet?.sameDay);
+}
+
+// Error subtypes are counts; chart them per minute of counting time
+function getErrorSubtypeRate(assessment, metric) {
+    return (assessment.errors[ERROR_TYPES[metric].field] || 0) / (assessment.celeration.countingTimeMin || 1);
+}
+
+function recordedValue(value) {
+    return typeof value === 'number' && isFinite(value) ? value : null;
+}
+
+// ===== Same-Day Timings =====
+// SCC convention charts one value per day; a data set's `sameDay` setting picks it
+const SAME_DAY_MODES = {
+    all: 'Every timing',
+    best: 'Best of the day',
+    median: 'Median of the day',
+    first: 'First of the day',
+    last: 'Last of the day'
+};
+
+// Collapsed points keep the chosen timing's details and count the timings behind them
+function collapseSameDay(points, metric, mode = 'all') {
+    if (!SAME_DAY_MODES[mode] || mode === 'all') return points;
+
+    const days = new Map();
+    points.forEach(point => {
+        if (!days.has(point.day)) days.set(point.day, []);
+        days.get(point.day).push(point);
+    });
+
+    return [...days.values()].map(dayPoints => {
+        let chosen;
+        let value;
+
+        if (mode === 'first') {
+            chosen = dayPoints[0];
+        } else if (mode === 'last') {
+            chosen = dayPoints[dayPoints.length - 1];
+        } else if (mode === 'best') {
+            // Fewer errors is better; more of everything else is
+            const lowerIsBetter = isErrorMetric(metric);
+            chosen = dayPoints.reduce((best, p) =>
+                (lowerIsBetter ? p.value < best.value : p.value > best.value) ? p : best);
+        } else {
+            value = median(dayPoints.map(p => p.value));
+            chosen = dayPoints.reduce((closest, p) =>
+                Math.abs(p.value - value) < Math.abs(closest.value - value) ? p : closest);
+        }
+
+        return {
+            ...chosen,
+            value: value !== undefined ? value : chosen.value,
+            timings: dayPoints.length,
+            sameDay: mode
+        };
+    });
+}
+
+function setSameDayMode(dataSetId, mode) {
+    const dataSet = state.dataSets[dataSetId];
+    if (!dataSet) return;
+
+    dataSet.sameDay = mode;
+    clearSelection();
+    updateSubjectTree();
+    drawChart();
+    scheduleAutosave();
+    updateStats();
+    updatePatternsPanel();
+}
+
+function updateSameDayPanel() {
+    const selectedId = fillDataSetSelect(document.getElementById('sameDayDataSet'));
+    const select = document.getElementById('sameDayMode');
+    select.value = state.dataSets[selectedId]?.sameDay || 'all';
+    select.disabled = !state.dataSets[selectedId];
+}
+
+function drawDot(ctx, x, y, radius, color) {
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.strokeStyle = '#0a1628';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+}
+
+function drawXMark(ctx, x, y, size, color) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2.5;
+    ctx.lineCap = 'round';
+
+    ctx.beginPath();
+    ctx.moveTo(x - size, y - size);
+    ctx.lineTo(x + size, y + size);
+    ctx.moveTo(x + size, y - size);
+    ctx.lineTo(x - size, y + size);
+    ctx.stroke();
+}
+
+function drawQuestionMark(ctx, x, y, color) {
+    ctx.fillStyle = color;
+    ctx.font = 'bold 14px system-ui';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('?', x, y);
+}
+
+function drawCelerationLine(ctx, points, color, chartWidth, chartHeight, xMax, metric, panOffset = 0) {
+    // Calculate celeration with the selected fitting method, per week/month/year of the chart type
+    const fit = fitCeleration(points, state.displayOptions.fitMethod, 'normalizedDay', getChartType().celerationDays);
+    const { slope, intercept } = fit;
+    const weeklyCeleration = fit.celeration;
+
+    // Helper function to convert day to x position (accounting for pan)
+    const dayToX = (day) => chartDayToX(day, chartWidth);
+
+    // Draw the celeration line
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([5, 5]);
+    ctx.globalAlpha = 0.8;
+
+    const minX = Math.min(...points.map(p => p.normalizedDay));
+    const maxX = Math.max(...points.map(p => p.normalizedDay));
+
+    // Extend line slightly beyond data but within visible pan range
+    const extendDays = Math.min(3, xMax * 0.1);
+    const startX = Math.max(panOffset, minX - extendDays);
+    const endX = Math.min(panOffset + xMax, maxX + extendDays);
+
+    const startY = Math.pow(10, intercept + slope * startX);
+    const endY = Math.pow(10, intercept + slope * endX);
+
+    ctx.beginPath();
+    ctx.moveTo(dayToX(startX), valueToY(startY, chartHeight));
+    ctx.lineTo(dayToX(endX), valueToY(endY, chartHeight));
+    ctx.stroke();
+
+    // Up-bounce and down-bounce envelope lines, parallel to the trend
+    const bounce = measureBounce(points, fit, 'normalizedDay');
+    if (state.displayOptions.showBounce && isFinite(bounce.total)) {
+        ctx.lineWidth = 1;
+        ctx.setLineDash([1, 3]);
+        ctx.globalAlpha = 0.6;
+
+        [bounce.up, bounce.down].forEach(offset => {
+            ctx.beginPath();
+            ctx.moveTo(dayToX(startX), valueToY(startY * Math.pow(10, offset), chartHeight));
+            ctx.lineTo(dayToX(endX), valueToY(endY * Math.pow(10, offset), chartHeight));
+            ctx.stroke();
+        });
+    }
+
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1;
+
+    // Draw celeration label on the chart
+    if (isFinite(weeklyCeleration) && !isNaN(weeklyCeleration)) {
+        const celerationLabel = state.displayOptions.showBounce && isFinite(bounce.total) ?
+            `${formatCeleration(weeklyCeleration)} bounce ${formatBounce(bounce.total)}` :
+            formatCeleration(weeklyCeleration);
+
+        // Position label at the end of the celeration line (within visible area)
+        const labelX = dayToX(endX);
+        const labelY = valueToY(endY, chartHeight);
+
+        // Draw label background
+        ctx.font = "600 11px 'IBM Plex Mono', monospace";
+        const textWidth = ctx.measureText(celerationLabel).width;
+        const padding = 4;
+
+        ctx.fillStyle = CONFIG.colors.inkNavy;
+        ctx.fillRect(
+            labelX + 5,
+            labelY - 8,
+            textWidth + padding * 2,
+            16
+        );
+
+        // Draw label border (brass accent)
+        ctx.strokeStyle = CONFIG.colors.brass;
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(
+            labelX + 5,
+            labelY - 8,
+            textWidth + padding * 2,
+            16
+        );
+
+        // Draw label text
+        ctx.fillStyle = CONFIG.colors.paperCream;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(celerationLabel, labelX + 5 + padding, labelY);
+    }
+
+    return isFinite(slope) && isFinite(intercept) ? { ...fit, bounce: bounce.total } : null;
+}
+
+// Vertical phase change lines with their condition labels
+function drawPhaseLines(ctx, student, chartWidth, chartHeight, xMax) {
+    const phases = getStudentDataSet(student)?.phases || [];
+    if (phases.length === 0) return;
+
+    const minDay = getChartOrigin(student);
+    const panOffset = state.panOffset;
+
+    ctx.save();
+    phases.forEach(phase => {
+        const day = phase.calendarDay - minDay;
+        if (day < panOffset || day > panOffset + xMax) return;
+
+        const x = chartDayToX(day, chartWidth);
+
+        ctx.strokeStyle = CONFIG.colors.inkNavy;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, chartHeight);
+        ctx.stroke();
+
+        if (phase.label) {
+            ctx.fillStyle = CONFIG.colors.inkNavy;
+            ctx.font = "600 10px 'IBM Plex Mono', monospace";
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            ctx.fillText(phase.label, x + 4, 4);
+        }
+    });
+    ctx.restore();
+}
+
+// Jump (x/÷) and turn (up/down) label where two phase celeration lines meet
+function drawPhaseChange(ctx, previousFit, nextFit, boundaryDay, color, chartWidth, chartHeight, xMax, panOffset) {
+    if (boundaryDay < panOffset || boundaryDay > panOffset + xMax) return;
+
+    const { jump, turn } = comparePhaseFits(previousFit, nextFit, boundaryDay);
+    if (!isFinite(jump) || !isFinite(turn)) return;
+
+    const x = chartDayToX(boundaryDay, chartWidth);
+    const y = valueToY(Math.pow(10, nextFit.intercept + nextFit.slope * boundaryDay), chartHeight);
+    const label = `J ${formatCeleration(jump)}  T ${turn >= 1 ? '↑' : '↓'}${formatCeleration(turn)}`;
+
+    ctx.save();
+    ctx.font = "600 9px 'IBM Plex Mono', monospace";
+    ctx.fillStyle = color;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(label, x + 4, y - 6);
+    ctx.restore();
+}
+
+// Aim stars, aim bands and celeration aim lines for a student's data set
+function drawAims(ctx, student, chartWidth, chartHeight, xMax) {
+    // Aims are frequencies per minute, so they only belong on the Daily chart
+    if (getChartType() !== CONFIG.chartTypes.daily) return;
+
+    const aims = (getStudentDataSet(student)?.aims || [])
+        .filter(aim => state.activeMetrics.includes(aim.metric));
+    if (aims.length === 0) return;
+
+    const minDay = getChartOrigin(student);
+    const panOffset = state.panOffset;
+    const dayToX = (day) => chartDayToX(day - minDay, chartWidth);
+
+    ctx.save();
+    ctx.font = "600 9px 'IBM Plex Mono', monospace";
+    ctx.textBaseline = 'bottom';
+
+    aims.forEach(aim => {
+        const color = CONFIG.metricColors[aim.metric];
+
+        if (aim.type === 'star') {
+            const x = dayToX(aim.calendarDay);
+            if (x < 0 || x > chartWidth) return;
+            const y = valueToY(aim.frequency, chartHeight);
+
+            drawStar(ctx, x, y, 8, CONFIG.colors.brass, color);
+            ctx.fillStyle = color;
+            ctx.textAlign = 'center';
+            ctx.fillText(`aim ${aim.frequency}`, x, y - 10);
+        } else if (aim.type === 'band') {
+            const startX = Math.max(0, dayToX(aim.calendarDay));
+            if (startX > chartWidth) return;
+            const topY = valueToY(aim.max, chartHeight);
+            const bottomY = valueToY(aim.min, chartHeight);
+
+            ctx.fillStyle = CONFIG.colors.brass;
+            ctx.globalAlpha = 0.15;
+            ctx.fillRect(startX, topY, chartWidth - startX, bottomY - topY);
+            ctx.globalAlpha = 1;
+
+            ctx.strokeStyle = CONFIG.colors.brass;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([2, 3]);
+            ctx.strokeRect(startX, topY, chartWidth - startX, bottomY - topY);
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = color;
+            ctx.textAlign = 'left';
+            ctx.fillText(`aim ${aim.min}–${aim.max}`, startX + 4, topY - 2);
+        } else if (aim.type === 'line') {
+            const startDay = Math.max(aim.calendarDay, minDay + panOffset);
+            const endDay = minDay + panOffset + xMax;
+            if (startDay >= endDay) return;
+
+            ctx.strokeStyle = CONFIG.colors.brass;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(dayToX(startDay), valueToY(aimLineValue(aim, startDay), chartHeight));
+            ctx.lineTo(dayToX(endDay), valueToY(aimLineValue(aim, endDay), chartHeight));
+            ctx.stroke();
+
+            const x = dayToX(aim.calendarDay);
+            if (x >= 0 && x <= chartWidth) {
+                const y = valueToY(aim.frequency, chartHeight);
+                ctx.fillStyle = color;
+                ctx.textAlign = 'left';
+                ctx.fillText(`aim ${formatCeleration(aim.celeration)}`, x + 4, y - 4);
+            }
+        }
+    });
+
+    ctx.restore();
+}
+
+function drawStar(ctx, x, y, radius, fill, stroke) {
+    ctx.beginPath();
+    for (let i = 0; i < 10; i++) {
+        const r = i % 2 === 0 ? radius : radius * 0.45;
+        const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+        const px = x + r * Math.cos(angle);
+        const py = y + r * Math.sin(angle);
+        if (i === 0) {
+            ctx.moveTo(px, py);
+        } else {
+            ctx.lineTo(px, py);
+        }
+    }
+    ctx.closePath();
+    ctx.fillStyle = fill;
+    ctx.fill();
+    ctx.strokeStyle = stroke;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+}
+
+// ===== Chart Export =====
+const EXPORT_HEADER_HEIGHT = 64;
+const PNG_EXPORT_SCALE = 3;
+
+// Title, students and legend above the chart, then the chart itself
+function renderExport(ctx, width, height) {
+    const header = EXPORT_HEADER_HEIGHT;
+
+    ctx.fillStyle = CONFIG.colors.paperCream;
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = CONFIG.colors.inkNavy;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    ctx.font = "400 18px Inter, sans-serif";
+    ctx.fillText(document.getElementById('chartTitle').textContent, CONFIG.margin.left, 26);
+
+    const students = state.activeStudents
+        .map(id => state.students.find(s => s.id === id))
+        .filter(Boolean)
+        .map(student => {
+            const dataSet = getStudentDataSet(student);
+            return dataSet ? `${student.name} — ${dataSet.subject.subcategory}` : student.name;
+        });
+    ctx.font = "300 12px Inter, sans-serif";
+    ctx.fillStyle = CONFIG.colors.inkLight;
+    ctx.fillText(students.join(', ') || 'No students selected', CONFIG.margin.left, 44);
+    ctx.fillText(document.getElementById('chartSubtitle').textContent, CONFIG.margin.left, 58);
+
+    // Legend, right-aligned
+    let x = width - CONFIG.margin.right;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    state.activeMetrics.slice().reverse().forEach(metric => {
+        const color = CONFIG.metricColors[metric];
+        const label = getMetricLabel(metric);
+        ctx.fillStyle = CONFIG.colors.inkNavy;
+        ctx.fillText(label, x, 26);
+        x -= ctx.measureText(label).width + 10;
+        if (isErrorMetric(metric)) {
+            drawXMark(ctx, x, 26, 4, color);
+        } else {
+            drawDot(ctx, x, 26, 4, color);
+        }
+        x -= 20;
+    });
+
+    ctx.save();
+    ctx.translate(0, header);
+    renderChart(ctx, width, height - header);
+    ctx.restore();
+}
+
+function getExportSize() {
+    return {
+        width: state.canvas.clientWidth,
+        height: state.canvas.clientHeight + EXPORT_HEADER_HEIGHT
+    };
+}
+
+function getExportFileName(extension) {
+    const names = state.activeStudents
+        .map(id => state.students.find(s => s.id === id)?.name)
+        .filter(Boolean);
+    const date = new Date().toISOString().slice(0, 10);
+    return `${slugify(['scc', ...names].join(' ')) || 'scc'}-${date}.${extension}`;
+}
+
+function exportChart(format) {
+    const { width, height } = getExportSize();
+
+    if (format === 'png') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width * PNG_EXPORT_SCALE;
+        canvas.height = height * PNG_EXPORT_SCALE;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(PNG_EXPORT_SCALE, PNG_EXPORT_SCALE);
+        renderExport(ctx, width, height);
+        canvas.toBlob(blob => downloadFile(getExportFileName('png'), blob), 'image/png');
+        return;
+    }
+
+    const ctx = new VectorContext();
+    renderExport(ctx, width, height);
+
+    if (format === 'svg') {
+        downloadFile(getExportFileName('svg'), ctx.toSVG(width, height), 'image/svg+xml');
+    } else if (format === 'pdf') {
+        downloadFile(getExportFileName('pdf'), ctx.toPDF(width, height), 'application/pdf');
+    }
+}
+
+// Parse '#rgb', '#rrggbb', 'rgb(...)' or 'rgba(...)' into { r, g, b, a } (0–255, alpha 0–1)
+function parseColor(color) {
+    let match;
+    if ((match = /^#([0-9a-f]{3})$/i.exec(color))) {
+        const [r, g, b] = match[1].split('').map(c => parseInt(c + c, 16));
+        return { r, g, b, a: 1 };
+    }
+    if ((match = /^#([0-9a-f]{6})$/i.exec(color))) {
+        const n = parseInt(match[1], 16);
+        return { r: n >> 16, g: (n >> 8) & 255, b: n & 255, a: 1 };
+    }
+    if ((match = /^rgba?\(([^)]+)\)$/i.exec(color))) {
+        const [r, g, b, a = 1] = match[1].split(',').map(v => parseFloat(v));
+        return { r, g, b, a };
+    }
+    return { r: 0, g: 0, b: 0, a: 1 };
+}
+
+// Parse a canvas font like "300 10px Inter, sans-serif"
+function parseFont(font) {
+    const match = /^(?:(\d{3}|bold|normal)\s+)?(\d+(?:\.\d+)?)px\s+(.+)$/.exec(font) || [];
+    const weight = match[1] === 'bold' ? 700 : parseInt(match[1]) || 400;
+    return { weight, size: parseFloat(match[2]) || 10, family: match[3] || 'sans-serif' };
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+}
+
+// Records the subset of the Canvas 2D API used by renderChart and replays it
+// as SVG or PDF. Coordinates are transformed when recorded, so the output
+// needs no transform stack of its own.
+class VectorContext {
+    constructor() {
+        this.items = [];
+        this.path = [];
+        this.stack = [];
+        this.matrix = [1, 0, 0, 1, 0, 0];
+        this.fillStyle = '#000';
+        this.strokeStyle = '#000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+        this.lineDash = [];
+        // Text widths come from a real canvas so labels are placed as on screen
+        this.measurer = document.createElement('canvas').getContext('2d');
+    }
+
+    save() {
+        const { matrix, fillStyle, strokeStyle, lineWidth, lineCap, font, textAlign, textBaseline, globalAlpha, lineDash } = this;
+        this.stack.push({ matrix: [...matrix], fillStyle, strokeStyle, lineWidth, lineCap, font, textAlign, textBaseline, globalAlpha, lineDash });
+    }
+
+    restore() {
+        const saved = this.stack.pop();
+        if (saved) Object.assign(this, saved);
+    }
+
+    transform(a, b, c, d, e, f) {
+        const [m0, m1, m2, m3, m4, m5] = this.matrix;
+        this.matrix = [
+            m0 * a + m2 * b, m1 * a + m3 * b,
+            m0 * c + m2 * d, m1 * c + m3 * d,
+            m0 * e + m2 * f + m4, m1 * e + m3 * f + m5
+        ];
+    }
+
+    translate(x, y) { this.transform(1, 0, 0, 1, x, y); }
+    scale(x, y) { this.transform(x, 0, 0, y, 0, 0); }
+    rotate(angle) { this.transform(Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0); }
+
+    point(x, y) {
+        const [a, b, c, d, e, f] = this.matrix;
+        return { x: a * x + c * y + e, y: b * x + d * y + f };
+    }
+
+    // Average scale of the current transform, for line widths and font sizes
+    scaleFactor() {
+        const [a, b, c, d] = this.matrix;
+        return Math.sqrt(Math.abs(a * d - b * c));
+    }
+
+    setLineDash(dash) { this.lineDash = [...dash]; }
+    getLineDash() { return [...this.lineDash]; }
+
+    beginPath() { this.path = []; }
+    moveTo(x, y) { this.path.push({ points: [this.point(x, y)], closed: false }); }
+
+    lineTo(x, y) {
+        if (this.path.length === 0) this.moveTo(x, y);
+        else this.path[this.path.length - 1].points.push(this.point(x, y));
+    }
+
+    closePath() {
+        const current = this.path[this.path.length - 1];
+        if (current) current.closed = true;
+    }
+
+    // Arcs are flattened to short segments; chart arcs are only small dots
+    arc(x, y, radius, start, end) {
+        const steps = 24;
+        const sweep = end - start;
+        for (let i = 0; i <= steps; i++) {
+            const angle = start + (sweep * i) / steps;
+            const px = x + radius * Math.cos(angle);
+            const py = y + radius * Math.sin(angle);
+            if (i === 0 && this.path.length === 0) this.moveTo(px, py);
+            else this.lineTo(px, py);
+        }
+    }
+
+    rect(x, y, w, h) {
+        this.moveTo(x, y);
+        this.lineTo(x + w, y);
+        this.lineTo(x + w, y + h);
+        this.lineTo(x, y + h);
+        this.closePath();
+    }
+
+    fill() { this.pushPath('fill'); }
+    stroke() { this.pushPath('stroke'); }
+
+    pushPath(mode) {
+        if (this.path.length === 0) return;
+        this.items.push({
+            type: 'path',
+            mode,
+            subpaths: this.path.map(p => ({ points: [...p.points], closed: p.closed })),
+            color: mode === 'fill' ? this.fillStyle : this.strokeStyle,
+            alpha: this.globalAlpha,
+            lineWidth: this.lineWidth * this.scaleFactor(),
+            lineCap: this.lineCap,
+            lineDash: this.lineDash.map(v => v * this.scaleFactor())
         });
-    });
-}
+    }
 
-function updateStats() {
-    const panel = document.getElementById('statsPanel');
+    fillRect(x, y, w, h) {
+        const path = this.path;
+        this.beginPath();
+        this.rect(x, y, w, h);
+        this.fill();
+        this.path = path;
+    }
 
-    if (state.activeStudents.length === 0) {
-        panel.innerHTML = '<p class="empty-state">Select a student</p>';
-        return;
+    strokeRect(x, y, w, h) {
+        const path = this.path;
+        this.beginPath();
+        this.rect(x, y, w, h);
+        this.stroke();
+        this.path = path;
     }
 
-    // Get first active student for stats
-    const student = state.students.find(s => state.activeStudents.includes(s.id));
-    if (!student) return;
+    // Exports start from a fresh background, so clearing has nothing to do
+    clearRect() {}
 
-    // Calculate celeration for correct per minute
-    const correctData = student.assessments
-        .filter(a => a.celeration && a.celeration.correctPerMinute > 0)
-        .map(a => ({
-            day: a.celeration.calendarDay,
-            value: a.celeration.correctPerMinute
-        }));
+    measureText(text) {
+        this.measurer.font = this.font;
+        return this.measurer.measureText(text);
+    }
 
-    const errorData = student.assessments
-        .filter(a => a.celeration && a.celeration.errorsPerMinute > 0)
-        .map(a => ({
-            day: a.celeration.calendarDay,
-            value: a.celeration.errorsPerMinute
-        }));
+    fillText(text, x, y) {
+        const [a, b] = this.matrix;
+        const font = parseFont(this.font);
+        this.items.push({
+            type: 'text',
+            text: String(text),
+            at: this.point(x, y),
+            angle: Math.atan2(b, a),
+            font: { ...font, size: font.size * this.scaleFactor() },
+            width: this.measureText(text).width * this.scaleFactor(),
+            align: this.textAlign,
+            baseline: this.textBaseline,
+            color: this.fillStyle,
+            alpha: this.globalAlpha
+        });
+    }
 
-    const correctCeleration = calculateCeleration(correctData);
-    const errorCeleration = calculateCeleration(errorData);
+    // `size` optionally sets physical dimensions, e.g. { width: '11in', height: '8.5in' }
+    toSVG(width, height, size = { width, height }) {
+        const anchors = { center: 'middle', right: 'end', end: 'end' };
+        const baselines = { middle: 'middle', top: 'hanging', hanging: 'hanging', bottom: 'text-after-edge' };
+
+        const body = this.items.map(item => {
+            const color = parseColor(item.color);
+            const paint = `rgb(${color.r},${color.g},${color.b})`;
+            const opacity = color.a * item.alpha;
+
+            if (item.type === 'text') {
+                const { x, y } = item.at;
+                const rotate = item.angle ? ` transform="rotate(${(item.angle * 180 / Math.PI).toFixed(2)} ${x.toFixed(2)} ${y.toFixed(2)})"` : '';
+                return `<text x="${x.toFixed(2)}" y="${y.toFixed(2)}" font-family="${escapeXml(item.font.family)}" ` +
+                    `font-size="${item.font.size.toFixed(2)}" font-weight="${item.font.weight}" ` +
+                    `text-anchor="${anchors[item.align] || 'start'}" dominant-baseline="${baselines[item.baseline] || 'alphabetic'}" ` +
+                    `fill="${paint}"${opacity < 1 ? ` fill-opacity="${opacity.toFixed(3)}"` : ''}${rotate}>${escapeXml(item.text)}</text>`;
+            }
 
-    panel.innerHTML = `
-        <div class="stat-row">
-            <span class="stat-label">Student</span>
-            <span class="stat-value neutral">${escapeHtml(student.name)}</span>
-        </div>
-        <div class="stat-row">
-            <span class="stat-label">Assessments</span>
-            <span class="stat-value neutral">${student.assessments.length}</span>
-        </div>
-        <div class="stat-row">
-            <span class="stat-label">Avg Accuracy</span>
-            <span class="stat-value neutral">${student.summary?.averages?.accuracy || 'N/A'}%</span>
-        </div>
-        <div class="stat-row">
-            <span class="stat-label">Avg WPM</span>
-            <span class="stat-value neutral">${student.summary?.averages?.wpm || 'N/A'}</span>
-        </div>
-        <div class="stat-row">
-            <span class="stat-label">Correct Celeration</span>
-            <span class="stat-value ${correctCeleration >= 1 ? 'positive' : 'negative'}">
-                ${formatCeleration(correctCeleration)}
-            </span>
-        </div>
-        <div class="stat-row">
-            <span class="stat-label">Error Celeration</span>
-            <span class="stat-value ${errorCeleration <= 1 ? 'positive' : 'negative'}">
-                ${formatCeleration(errorCeleration)}
-            </span>
-        </div>
-    `;
-}
+            const d = item.subpaths.map(p =>
+                p.points.map((pt, i) => `${i === 0 ? 'M' : 'L'}${pt.x.toFixed(2)} ${pt.y.toFixed(2)}`).join(' ') + (p.closed ? ' Z' : '')
+            ).join(' ');
+            if (item.mode === 'fill') {
+                return `<path d="${d}" fill="${paint}"${opacity < 1 ? ` fill-opacity="${opacity.toFixed(3)}"` : ''}/>`;
+            }
+            const dash = item.lineDash.length ? ` stroke-dasharray="${item.lineDash.map(v => v.toFixed(2)).join(' ')}"` : '';
+            return `<path d="${d}" fill="none" stroke="${paint}" stroke-width="${item.lineWidth.toFixed(2)}"` +
+                `${opacity < 1 ? ` stroke-opacity="${opacity.toFixed(3)}"` : ''}${dash}` +
+                `${item.lineCap !== 'butt' ? ` stroke-linecap="${item.lineCap}"` : ''}/>`;
+        }).join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${size.width}" height="${size.height}" viewBox="0 0 ${width} ${height}">\n${body}\n</svg>\n`;
+    }
 
-function updateLegend() {
-    const legend = document.getElementById('chartLegend');
-    const items = [];
+    // A single-page PDF using the built-in Helvetica fonts, one point per CSS pixel
+    toPDF(width, height) {
+        const fmt = (n) => Number(n.toFixed(2)).toString();
+        const flipY = (y) => height - y;
+        const alphaStates = new Map();
+        const alphaName = (alpha) => {
+            const key = alpha.toFixed(3);
+            if (!alphaStates.has(key)) alphaStates.set(key, `GS${alphaStates.size}`);
+            return alphaStates.get(key);
+        };
 
-    state.activeMetrics.forEach(metric => {
-        const color = CONFIG.metricColors[metric];
-        const label = getMetricLabel(metric);
-        const symbol = metric === 'errorsPerMinute' ?
-            `<span class="legend-x" style="color: ${color}">X</span>` :
-            `<span class="legend-dot" style="background: ${color}"></span>`;
+        const ops = [];
+        this.items.forEach(item => {
+            const color = parseColor(item.color);
+            const rgb = [color.r, color.g, color.b].map(v => fmt(v / 255)).join(' ');
+            const alpha = color.a * item.alpha;
+            ops.push('q');
+            if (alpha < 1) ops.push(`/${alphaName(alpha)} gs`);
+
+            if (item.type === 'text') {
+                const size = item.font.size;
+                const dx = item.align === 'center' ? -item.width / 2 : (item.align === 'right' || item.align === 'end') ? -item.width : 0;
+                const dy = { middle: 0.35, top: 0.8, hanging: 0.8, bottom: -0.2 }[item.baseline] || 0;
+                const cos = Math.cos(-item.angle);
+                const sin = Math.sin(-item.angle);
+                // Offsets are applied along the rotated text direction
+                const x = item.at.x + dx * Math.cos(item.angle) - dy * size * Math.sin(item.angle);
+                const y = item.at.y + dx * Math.sin(item.angle) + dy * size * Math.cos(item.angle);
+                const fontName = item.font.weight >= 600 ? 'F2' : 'F1';
+                ops.push(`${rgb} rg BT /${fontName} ${fmt(size)} Tf ${fmt(cos)} ${fmt(sin)} ${fmt(-sin)} ${fmt(cos)} ${fmt(x)} ${fmt(flipY(y))} Tm (${pdfText(item.text)}) Tj ET`);
+            } else {
+                item.subpaths.forEach(p => {
+                    p.points.forEach((pt, i) => ops.push(`${fmt(pt.x)} ${fmt(flipY(pt.y))} ${i === 0 ? 'm' : 'l'}`));
+                    if (p.closed) ops.push('h');
+                });
+                if (item.mode === 'fill') {
+                    ops.push(`${rgb} rg f`);
+                } else {
+                    const cap = { butt: 0, round: 1, square: 2 }[item.lineCap] || 0;
+                    ops.push(`${rgb} RG ${fmt(item.lineWidth)} w ${cap} J [${item.lineDash.map(fmt).join(' ')}] 0 d S`);
+                }
+            }
+            ops.push('Q');
+        });
 
-        items.push(`
-            <div class="legend-item">
-                ${symbol}
-                <span>${label}</span>
-            </div>
-        `);
-    });
+        const content = ops.join('\n');
+        const gsObjects = [...alphaStates.entries()].map(([alpha]) => `<< /Type /ExtGState /ca ${alpha} /CA ${alpha} >>`);
+        const gsResources = [...alphaStates.values()].map((name, i) => `/${name} ${7 + i} 0 R`).join(' ');
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Contents 4 0 R ` +
+                `/Resources << /Font << /F1 5 0 R /F2 6 0 R >> /ExtGState << ${gsResources} >> >> >>`,
+            `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+            ...gsObjects
+        ];
+
+        // Every character is one byte (see pdfText), so string lengths are byte offsets
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((body, i) => {
+            const offset = pdf.length;
+            pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+            offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('') +
+            `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(pdf.length);
+        for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i) & 255;
+        return new Blob([bytes], { type: 'application/pdf' });
+    }
+}
 
-    legend.innerHTML = items.join('');
+// Encode text for a WinAnsi PDF string; characters outside it get a close ASCII stand-in
+function pdfText(text) {
+    const winAnsi = { '—': 0x97, '–': 0x96, '…': 0x85, '•': 0x95, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94 };
+    const fallback = { '↑': '^', '↓': 'v', '→': '>', '←': '<', '≈': '~', '≥': '>=', '≤': '<=' };
+    return [...text].map(char => {
+        if (fallback[char]) return fallback[char];
+        let code = winAnsi[char] ?? char.charCodeAt(0);
+        if (code > 255) code = 63; // '?'
+        const c = String.fromCharCode(code);
+        return c === '(' || c === ')' || c === '\\' ? `\\${c}` : c;
+    }).join('');
 }
 
-function getMetricLabel(metric) {
-    const labels = {
-        correctPerMinute: 'Correct/min',
-        errorsPerMinute: 'Errors/min',
-        wpm: 'Words/min',
-        accuracy: 'Accuracy %',
-        prosody: 'Prosody'
-    };
-    return labels[metric] || metric;
+// ===== Coordinate Transformations =====
+// Chart days are days since chart day 0 (see getChartOrigin); this is the one
+// day → x mapping every layer, the tooltip and the selection use
+function chartDayToX(day, chartWidth) {
+    return ((day - state.panOffset) / state.zoom) * chartWidth;
 }
 
-// ===== Chart Drawing =====
-function drawChart() {
-    const { ctx, canvas } = state;
-    const width = canvas.clientWidth;
-    const height = canvas.clientHeight;
-    const { margin } = CONFIG;
-    const zoomConfig = getZoomConfig();
-    const xMax = state.zoom;
+function valueToY(value, chartHeight) {
+    const { yMin, yMax } = getChartType();
 
-    // Clear canvas
-    ctx.clearRect(0, 0, width, height);
+    // Clamp value to valid range
+    value = Math.max(yMin, Math.min(yMax, value));
 
-    // Chart dimensions
-    const chartWidth = width - margin.left - margin.right;
-    const chartHeight = height - margin.top - margin.bottom;
+    // Logarithmic transformation
+    const logMin = Math.log10(yMin);
+    const logMax = Math.log10(yMax);
+    const logValue = Math.log10(value);
 
-    // Draw background - vintage paper cream
-    ctx.fillStyle = CONFIG.colors.paperCream;
-    ctx.fillRect(0, 0, width, height);
+    // Invert Y (0 at bottom)
+    const normalized = (logValue - logMin) / (logMax - logMin);
+    return chartHeight * (1 - normalized);
+}
 
-    // Draw chart area
-    ctx.save();
-    ctx.translate(margin.left, margin.top);
+function yToValue(y, chartHeight) {
+    const { yMin, yMax } = getChartType();
 
-    // Draw grid
-    drawGrid(ctx, chartWidth, chartHeight, xMax, zoomConfig);
+    const logMin = Math.log10(yMin);
+    const logMax = Math.log10(yMax);
 
-    // Draw axes
-    drawAxes(ctx, chartWidth, chartHeight, xMax, zoomConfig);
+    const normalized = 1 - (y / chartHeight);
+    const logValue = logMin + normalized * (logMax - logMin);
 
-    // Draw data for each active student and metric
-    state.activeStudents.forEach(studentId => {
-        const student = state.students.find(s => s.id === studentId);
-        if (!student) return;
+    return Math.pow(10, logValue);
+}
 
-        state.activeMetrics.forEach(metric => {
-            drawDataSeries(ctx, student, metric, chartWidth, chartHeight, xMax);
-        });
-    });
+// ===== Celeration Calculations =====
+function calculateCeleration(dataPoints, periodDays = 7) {
+    if (dataPoints.length < 2) return 1;
 
-    ctx.restore();
+    // Filter out zero values
+    const validPoints = dataPoints.filter(p => p.value > 0);
+    if (validPoints.length < 2) return 1;
 
-    // Draw axis labels
-    drawAxisLabels(ctx, width, height, margin);
+    // Fit with the selected method, daily slope converted to celeration per period
+    return fitCeleration(validPoints, undefined, 'day', periodDays).celeration;
 }
 
-function drawGrid(ctx, width, height, xMax, zoomConfig) {
-    const panOffset = state.panOffset;
+// ===== Celeration Fitting =====
+// Every fit is a straight line through log10(value) by day:
+//   log10(value) = intercept + slope * day
+// and celeration is the multiplier per period, 10^(slope * 7) for weekly celeration.
+const FIT_METHODS = {
+    quarterIntersect: { label: 'Quarter-intersect', fit: fitQuarterIntersect },
+    splitMiddle: { label: 'Split-middle', fit: fitSplitMiddle },
+    leastSquares: { label: 'Log least squares', fit: fitLeastSquares },
+    theilSen: { label: 'Theil–Sen (robust)', fit: fitTheilSen }
+};
 
-    // Vertical grid lines (calendar days) - cyan like original SCC
-    ctx.strokeStyle = CONFIG.colors.sccGridMinor;
-    ctx.lineWidth = 1;
+function fitCeleration(points, method = state.displayOptions.fitMethod, dayKey = 'day', periodDays = 7) {
+    const xy = points
+        .map(p => ({ x: p[dayKey], y: Math.log10(p.value) }))
+        .sort((a, b) => a.x - b.x);
+    const { slope, intercept } = (FIT_METHODS[method] || FIT_METHODS.leastSquares).fit(xy);
 
-    const dayInterval = zoomConfig.dayInterval;
-    for (let day = 0; day <= xMax; day += dayInterval) {
-        const x = (day / xMax) * width;
-        ctx.beginPath();
-        ctx.moveTo(x, 0);
-        ctx.lineTo(x, height);
-        ctx.stroke();
+    return {
+        slope,
+        intercept,
+        celeration: Math.pow(10, slope * periodDays)
+    };
+}
+
+// Bounce is the spread of timings around a fitted line: the up-bounce and
+// down-bounce are the largest log offsets above and below it, and total
+// bounce is the multiplier between the two envelopes.
+function measureBounce(points, fit, dayKey = 'day') {
+    const residuals = points.map(p => Math.log10(p.value) - (fit.intercept + fit.slope * p[dayKey]));
+    if (residuals.length === 0 || !residuals.every(isFinite)) {
+        return { up: NaN, down: NaN, total: NaN };
     }
 
-    // Week number labels at top (adjusted for pan offset) - matching original SCC
-    ctx.fillStyle = CONFIG.colors.sccCyan;
-    ctx.font = "300 10px Inter, sans-serif";
-    ctx.textAlign = 'center';
+    const up = Math.max(...residuals);
+    const down = Math.min(...residuals);
+    return { up, down, total: Math.pow(10, up - down) };
+}
 
-    const weekInterval = zoomConfig.weekInterval;
-    const startWeek = Math.floor(panOffset / 7);
-    const maxWeeks = Math.ceil((panOffset + xMax) / 7);
-    for (let week = startWeek; week <= maxWeeks; week += weekInterval) {
-        const dayInView = (week * 7) - panOffset;
-        const x = (dayInView / xMax) * width;
-        if (x >= 0 && x <= width) {
-            ctx.fillText(week.toString(), x, -8);
-        }
-    }
+function calculateBounce(dataPoints) {
+    const validPoints = dataPoints.filter(p => p.value > 0);
+    if (validPoints.length < 2) return NaN;
 
-    // Horizontal grid lines (logarithmic) - cyan like original SCC
-    CONFIG.logGridLines.forEach(value => {
-        const y = valueToY(value, height);
-        const isMajor = CONFIG.majorLogLines.includes(value);
-        const isMid = CONFIG.midLogLines.includes(value);
+    return measureBounce(validPoints, fitCeleration(validPoints)).total;
+}
 
-        if (isMajor) {
-            // Decade lines (1, 10, 100, etc.) - darkest cyan
-            ctx.strokeStyle = CONFIG.colors.sccGridMajor;
-            ctx.lineWidth = 1.5;
-        } else if (isMid) {
-            // Mid-decade lines (5, 50, 500, etc.) - medium cyan
-            ctx.strokeStyle = CONFIG.colors.sccGridMid;
-            ctx.lineWidth = 1;
-        } else {
-            // Other intermediate lines (2,3,4,6,7,8,9) - lightest cyan
-            ctx.strokeStyle = CONFIG.colors.sccGridMinor;
-            ctx.lineWidth = 0.5;
-        }
+function getFitMethodLabel(method = state.displayOptions.fitMethod) {
+    return (FIT_METHODS[method] || FIT_METHODS.leastSquares).label;
+}
 
-        ctx.beginPath();
-        ctx.moveTo(0, y);
-        ctx.lineTo(width, y);
-        ctx.stroke();
-    });
+function fitLeastSquares(xy) {
+    const n = xy.length;
+    const sumX = xy.reduce((sum, p) => sum + p.x, 0);
+    const sumY = xy.reduce((sum, p) => sum + p.y, 0);
+    const sumXY = xy.reduce((sum, p) => sum + p.x * p.y, 0);
+    const sumX2 = xy.reduce((sum, p) => sum + p.x * p.x, 0);
+
+    const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
+    const intercept = (sumY - slope * sumX) / n;
+
+    return { slope, intercept };
 }
 
-function drawAxes(ctx, width, height, xMax, zoomConfig) {
-    // Y-axis labels - matching original SCC chart style
-    ctx.fillStyle = CONFIG.colors.sccCyan;
-    ctx.textAlign = 'right';
-    ctx.textBaseline = 'middle';
+// Line through the mid-date/mid-rate of each half of the data.
+// With an odd count the middle timing belongs to neither half.
+function fitQuarterIntersect(xy) {
+    const half = Math.floor(xy.length / 2);
+    const first = xy.slice(0, half);
+    const second = xy.slice(xy.length - half);
 
-    // Helper function to format Y-axis labels like original SCC
-    const formatYLabel = (value) => {
-        if (value >= 1) {
-            return value.toString();
-        } else {
-            // Format as .5, .1, .05, .01, .005, .001 (without leading zero)
-            return '.' + value.toString().split('.')[1];
-        }
-    };
+    const x1 = median(first.map(p => p.x));
+    const y1 = median(first.map(p => p.y));
+    const x2 = median(second.map(p => p.x));
+    const y2 = median(second.map(p => p.y));
 
-    // Major lines (powers of 10): 1000, 100, 10, 1, .1, .01, .001 - larger font
-    ctx.font = "300 13px Inter, sans-serif";
-    CONFIG.majorLogLines.forEach(value => {
-        const y = valueToY(value, height);
-        ctx.fillText(formatYLabel(value), -8, y);
-    });
+    const slope = (y2 - y1) / (x2 - x1);
+    return { slope, intercept: y1 - slope * x1 };
+}
 
-    // Mid-decade lines (5's): 500, 50, 5, .5, .05, .005 - smaller font
-    ctx.font = "300 10px Inter, sans-serif";
-    CONFIG.midLogLines.forEach(value => {
-        const y = valueToY(value, height);
-        ctx.fillText(formatYLabel(value), -8, y);
-    });
+// Quarter-intersect slope, shifted so half the timings fall on each side
+function fitSplitMiddle(xy) {
+    const { slope } = fitQuarterIntersect(xy);
+    return { slope, intercept: median(xy.map(p => p.y - slope * p.x)) };
+}
 
-    // X-axis labels (adjusted for pan offset) - matching original SCC
-    ctx.fillStyle = CONFIG.colors.sccCyan;
-    ctx.font = "300 13px Inter, sans-serif";
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'top';
+// Theil–Sen is O(n²), so fits are kept by the timings they were fitted to (a
+// series over a date range); pan and hover redraws then reuse them
+const theilSenCache = new Map();
+const THEIL_SEN_CACHE_SIZE = 200;
 
-    const dayInterval = zoomConfig.dayInterval;
-    const panOffset = state.panOffset;
-    for (let day = 0; day <= xMax; day += dayInterval) {
-        const x = (day / xMax) * width;
-        const actualDay = day + panOffset;
-        ctx.fillText(actualDay.toString(), x, height + 10);
-    }
+// Median of all pairwise slopes; one wild timing barely moves it
+function fitTheilSen(xy) {
+    const key = xy.map(p => `${p.x}:${p.y}`).join(',');
+    if (theilSenCache.has(key)) return theilSenCache.get(key);
+
+    const fit = computeTheilSen(xy);
+    if (theilSenCache.size >= THEIL_SEN_CACHE_SIZE) theilSenCache.clear();
+    theilSenCache.set(key, fit);
+    return fit;
 }
 
-function drawAxisLabels(ctx, width, height, margin) {
-    // Y-axis label (rotated) - matching original SCC
-    ctx.save();
-    ctx.fillStyle = CONFIG.colors.sccCyan;
-    ctx.font = "400 13px Inter, sans-serif";
-    ctx.textAlign = 'center';
-    ctx.translate(18, height / 2);
-    ctx.rotate(-Math.PI / 2);
-    ctx.fillText('COUNT PER MINUTE', 0, 0);
-    ctx.restore();
+function computeTheilSen(xy) {
+    const slopes = [];
+    for (let i = 0; i < xy.length; i++) {
+        for (let j = i + 1; j < xy.length; j++) {
+            if (xy[j].x !== xy[i].x) {
+                slopes.push((xy[j].y - xy[i].y) / (xy[j].x - xy[i].x));
+            }
+        }
+    }
 
-    // Week label at top - matching original SCC
-    ctx.fillStyle = CONFIG.colors.sccCyan;
-    ctx.font = "400 13px Inter, sans-serif";
-    ctx.textAlign = 'center';
-    ctx.fillText('SUCCESSIVE CALENDAR WEEKS', width / 2, 18);
+    const slope = slopes.length > 0 ? median(slopes) : NaN;
+    return { slope, intercept: median(xy.map(p => p.y - slope * p.x)) };
 }
 
-function drawDataSeries(ctx, student, metric, chartWidth, chartHeight, xMax) {
-    const color = CONFIG.metricColors[metric];
-    const dataPoints = getDataPoints(student, metric);
-    const panOffset = state.panOffset;
+function median(values) {
+    if (values.length === 0) return NaN;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
 
-    if (dataPoints.length === 0) return;
+function formatBounce(value) {
+    if (!isFinite(value) || isNaN(value)) return 'N/A';
+    return `x${value.toFixed(1)}`;
+}
 
-    // Find the minimum calendar day to normalize (relative to student's first assessment)
-    const minDay = Math.min(...dataPoints.map(p => p.day));
+function formatCeleration(value) {
+    if (!isFinite(value) || isNaN(value)) return 'N/A';
 
-    // Normalize days relative to first assessment
-    const normalizedPoints = dataPoints.map(p => ({
-        ...p,
-        normalizedDay: p.day - minDay
-    }));
+    if (value >= 1) {
+        return `x${value.toFixed(2)}`;
+    } else {
+        return `/${(1/value).toFixed(2)}`;
+    }
+}
+
+// ===== Phase Changes =====
+// Phases are stored on the data set as { id, calendarDay, date, label }.
+// Each phase runs from its line up to the next one; points before the
+// first line belong to the baseline.
+function splitIntoPhases(points, phases = []) {
+    const sorted = [...phases].sort((a, b) => a.calendarDay - b.calendarDay);
+    const segments = [{ phase: null, points: [] }, ...sorted.map(phase => ({ phase, points: [] }))];
+
+    points.forEach(point => {
+        let index = 0;
+        sorted.forEach((phase, i) => {
+            if (point.day >= phase.calendarDay) index = i + 1;
+        });
+        segments[index].points.push(point);
+    });
 
-    // Filter points within visible pan range [panOffset, panOffset + xMax]
-    const visiblePoints = normalizedPoints.filter(p =>
-        p.normalizedDay >= panOffset && p.normalizedDay <= panOffset + xMax
-    );
+    return segments;
+}
 
-    // Also get all points up to panOffset + xMax for celeration calculation
-    const pointsForCeleration = normalizedPoints.filter(p => p.normalizedDay <= panOffset + xMax);
+// Frequency jump and celeration turn between two fitted lines at a boundary day
+function comparePhaseFits(previousFit, nextFit, boundaryDay) {
+    const previousLog = previousFit.intercept + previousFit.slope * boundaryDay;
+    const nextLog = nextFit.intercept + nextFit.slope * boundaryDay;
 
-    // Helper function to convert normalized day to x position
-    const dayToX = (normalizedDay) => ((normalizedDay - panOffset) / xMax) * chartWidth;
+    return {
+        jump: Math.pow(10, nextLog - previousLog),
+        turn: nextFit.celeration / previousFit.celeration
+    };
+}
 
-    // Draw connecting lines
-    if (state.displayOptions.connectPoints && visiblePoints.length > 1) {
-        ctx.strokeStyle = color;
-        ctx.lineWidth = 2;
-        ctx.globalAlpha = 0.7;
-        ctx.beginPath();
+function calculatePhaseCelerations(dataPoints, phases, periodDays = 7) {
+    const validPoints = dataPoints.filter(p => p.value > 0);
+    let previousFit = null;
+
+    return splitIntoPhases(validPoints, phases).map(segment => {
+        const fit = segment.points.length >= 2 ? fitCeleration(segment.points, undefined, 'day', periodDays) : null;
+        const usable = fit && isFinite(fit.slope);
+        const change = usable && previousFit && segment.phase ?
+            comparePhaseFits(previousFit, fit, segment.phase.calendarDay) : null;
+
+        previousFit = usable ? fit : null;
+
+        return {
+            phase: segment.phase,
+            label: segment.phase ? (segment.phase.label || segment.phase.date) : 'Baseline',
+            celeration: usable ? fit.celeration : NaN,
+            jump: change ? change.jump : null,
+            turn: change ? change.turn : null
+        };
+    });
+}
 
-        let started = false;
-        visiblePoints.forEach(point => {
-            if (point.value <= 0) return;
+// Fit of the most recent phase with at least two non-zero timings
+function getCurrentPhaseFit(points, phases = []) {
+    const validPoints = points.filter(p => p.value > 0);
+    const segments = splitIntoPhases(validPoints, phases).filter(segment => segment.points.length >= 2);
+    const current = segments[segments.length - 1];
+    return current ? fitCeleration(current.points) : null;
+}
 
-            const x = dayToX(point.normalizedDay);
-            const y = valueToY(point.value, chartHeight);
+// Calendar day of a student's first timing (day 0 on the chart)
+function getStudentStartDay(student) {
+    const days = student.assessments
+        .filter(a => a.celeration)
+        .map(a => a.celeration.calendarDay);
+    return days.length > 0 ? Math.min(...days) : 0;
+}
 
-            if (!started) {
-                ctx.moveTo(x, y);
-                started = true;
-            } else {
-                ctx.lineTo(x, y);
-            }
-        });
+// ===== Calendar Alignment =====
+function isCalendarAligned() {
+    return state.displayOptions.alignment === 'calendar';
+}
 
-        ctx.stroke();
-        ctx.globalAlpha = 1;
+// Chart day 0 as a calendarDay of the student's data set: the student's first
+// timing, or the shared start Sunday when calendar-aligned
+function getChartOrigin(student) {
+    if (isCalendarAligned()) {
+        const dataSet = getStudentDataSet(student);
+        const startDate = getAlignStartDate();
+        const origin = dataSet && startDate ? dateToCalendarDay(dataSet, startDate) : null;
+        if (origin !== null) return origin;
     }
+    return getStudentStartDay(student);
+}
 
-    // Draw celeration line (use all points for calculation, but display in visible range)
-    if (state.displayOptions.showCelerationLines && pointsForCeleration.length >= 2) {
-        const validPoints = pointsForCeleration.filter(p => p.value > 0);
-        if (validPoints.length >= 2) {
-            drawCelerationLine(ctx, validPoints, color, chartWidth, chartHeight, xMax, metric, panOffset);
-        }
-    }
+// The chosen start Sunday, or the Sunday on or before the earliest first timing of the charted students
+function getAlignStartDate() {
+    if (state.displayOptions.alignStart) return state.displayOptions.alignStart;
 
-    // Draw data points
-    if (state.displayOptions.showDataPoints) {
-        visiblePoints.forEach(point => {
-            const x = dayToX(point.normalizedDay);
-            const y = valueToY(point.value > 0 ? point.value : 0.0005, chartHeight);
+    const firstTimes = state.activeStudents
+        .map(studentId => state.students.find(s => s.id === studentId))
+        .map(student => {
+            const dataSet = student && getStudentDataSet(student);
+            return dataSet ? Date.parse(calendarDayToDate(dataSet, getStudentStartDay(student))) : NaN;
+        })
+        .filter(time => !isNaN(time));
 
-            if (metric === 'errorsPerMinute') {
-                drawXMark(ctx, x, y, 6, color);
-            } else if (point.value === 0) {
-                drawQuestionMark(ctx, x, y, color);
-            } else {
-                drawDot(ctx, x, y, 5, color);
-            }
-        });
-    }
+    return firstTimes.length > 0 ? sundayOnOrBefore(Math.min(...firstTimes)) : '';
+}
 
-    // Draw record floor if enabled
-    if (state.displayOptions.showRecordFloor) {
-        visiblePoints.forEach(point => {
-            if (point.countingTimeMin && point.countingTimeMin > 0) {
-                const x = dayToX(point.normalizedDay);
-                const floorValue = 1 / point.countingTimeMin;
-                const y = valueToY(floorValue, chartHeight);
+// ISO date of the Sunday on or before a UTC time
+function sundayOnOrBefore(time) {
+    const date = new Date(time);
+    date.setUTCDate(date.getUTCDate() - date.getUTCDay());
+    return date.toISOString().slice(0, 10);
+}
 
-                ctx.strokeStyle = color;
-                ctx.lineWidth = 2;
-                ctx.globalAlpha = 0.5;
-                ctx.beginPath();
-                ctx.moveTo(x - 8, y);
-                ctx.lineTo(x + 8, y);
-                ctx.stroke();
-                ctx.globalAlpha = 1;
-            }
-        });
-    }
+function setAlignment(mode) {
+    state.displayOptions.alignment = mode;
+    updateAlignStartInput();
+    refreshAlignment();
 }
 
-function getDataPoints(student, metric) {
-    return student.assessments
-        .filter(a => a.celeration)
-        .map(a => {
-            let value;
-            switch(metric) {
-                case 'correctPerMinute':
-                    value = a.celeration.correctPerMinute || 0;
-                    break;
-                case 'errorsPerMinute':
-                    value = a.celeration.errorsPerMinute || 0;
-                    break;
-                case 'wpm':
-                    value = a.performance?.wpm || 0;
-                    break;
-                case 'accuracy':
-                    value = a.performance?.accuracy || 0;
-                    break;
-                case 'prosody':
-                    value = (a.prosody?.score || 0) * 20;
-                    break;
-                default:
-                    value = 0;
-            }
+// Any date picked is moved back to its Sunday; an empty date means automatic
+function setAlignStart(date) {
+    const time = Date.parse(date);
+    state.displayOptions.alignStart = isNaN(time) ? '' : sundayOnOrBefore(time);
+    updateAlignStartInput();
+    refreshAlignment();
+}
 
-            return {
-                day: a.celeration.calendarDay,
-                value: value,
-                countingTimeMin: a.celeration.countingTimeMin,
-                date: a.celeration.date,
-                assessment: a
-            };
-        })
-        .sort((a, b) => a.day - b.day);
+// The automatic start follows the charted students, so this runs on every redraw
+function updateAlignStartInput() {
+    const input = document.getElementById('alignStart');
+    if (document.activeElement === input) return;
+    input.disabled = !isCalendarAligned();
+    input.value = isCalendarAligned() ? getAlignStartDate() : '';
 }
 
-function drawDot(ctx, x, y, radius, color) {
-    ctx.beginPath();
-    ctx.arc(x, y, radius, 0, Math.PI * 2);
-    ctx.fillStyle = color;
-    ctx.fill();
-    ctx.strokeStyle = '#0a1628';
-    ctx.lineWidth = 1;
-    ctx.stroke();
+function refreshAlignment() {
+    clearSelection();
+    updateMaxDataDay();
+    state.panOffset = clampPanOffset(state.panOffset);
+    drawChart();
+    updatePanInfo();
+    updatePanButtons();
 }
 
-function drawXMark(ctx, x, y, size, color) {
-    ctx.strokeStyle = color;
-    ctx.lineWidth = 2.5;
-    ctx.lineCap = 'round';
+// Convert a date to the data set's calendarDay numbering using any dated timing as anchor
+function dateToCalendarDay(dataSet, date) {
+    const anchor = dataSet.assessments.find(a => a.celeration?.date && a.celeration.calendarDay != null);
+    if (!anchor) return null;
 
-    ctx.beginPath();
-    ctx.moveTo(x - size, y - size);
-    ctx.lineTo(x + size, y + size);
-    ctx.moveTo(x + size, y - size);
-    ctx.lineTo(x - size, y + size);
-    ctx.stroke();
+    const msPerDay = 24 * 60 * 60 * 1000;
+    const offset = Math.round((Date.parse(date) - Date.parse(anchor.celeration.date)) / msPerDay);
+    return anchor.celeration.calendarDay + offset;
 }
 
-function drawQuestionMark(ctx, x, y, color) {
-    ctx.fillStyle = color;
-    ctx.font = 'bold 14px system-ui';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('?', x, y);
+// Convert a calendarDay back to an ISO date (inverse of dateToCalendarDay)
+function calendarDayToDate(dataSet, calendarDay) {
+    const anchor = dataSet.assessments.find(a => a.celeration?.date && a.celeration.calendarDay != null);
+    if (!anchor) return '';
+
+    const msPerDay = 24 * 60 * 60 * 1000;
+    const time = Date.parse(anchor.celeration.date) + (calendarDay - anchor.celeration.calendarDay) * msPerDay;
+    return new Date(time).toISOString().slice(0, 10);
 }
 
-function drawCelerationLine(ctx, points, color, chartWidth, chartHeight, xMax, metric, panOffset = 0) {
-    // Calculate celeration using log-linear regression
-    const logPoints = points.map(p => ({
-        x: p.normalizedDay,
-        y: Math.log10(p.value)
-    }));
+function insertPhase(dataSet, calendarDay, label) {
+    dataSet.phases = dataSet.phases || [];
+    dataSet.phases.push({
+        id: `phase-${Date.now()}-${dataSet.phases.length}`,
+        calendarDay,
+        date: calendarDayToDate(dataSet, calendarDay),
+        label
+    });
+    dataSet.phases.sort((a, b) => a.calendarDay - b.calendarDay);
+}
+
+function addPhase(dataSetId, date, label) {
+    const dataSet = state.dataSets[dataSetId];
+    if (!dataSet) return;
 
-    const n = logPoints.length;
-    const sumX = logPoints.reduce((sum, p) => sum + p.x, 0);
-    const sumY = logPoints.reduce((sum, p) => sum + p.y, 0);
-    const sumXY = logPoints.reduce((sum, p) => sum + p.x * p.y, 0);
-    const sumX2 = logPoints.reduce((sum, p) => sum + p.x * p.x, 0);
+    const calendarDay = dateToCalendarDay(dataSet, date);
+    if (calendarDay === null || isNaN(calendarDay)) {
+        alert('Could not place the phase change: this data set has no dated timings.');
+        return;
+    }
 
-    const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
-    const intercept = (sumY - slope * sumX) / n;
+    insertPhase(dataSet, calendarDay, label);
 
-    // Calculate weekly celeration (multiply per week)
-    const weeklyCeleration = Math.pow(10, slope * 7);
+    updatePhasePanel();
+    updateSubjectTree();
+    drawChart();
+    scheduleAutosave();
+    updateStats();
+    updatePatternsPanel();
+}
 
-    // Helper function to convert day to x position (accounting for pan)
-    const dayToX = (day) => ((day - panOffset) / xMax) * chartWidth;
+function removePhase(dataSetId, phaseId) {
+    const dataSet = state.dataSets[dataSetId];
+    if (!dataSet || !dataSet.phases) return;
 
-    // Draw the celeration line
-    ctx.strokeStyle = color;
-    ctx.lineWidth = 1.5;
-    ctx.setLineDash([5, 5]);
-    ctx.globalAlpha = 0.8;
+    dataSet.phases = dataSet.phases.filter(p => p.id !== phaseId);
 
-    const minX = Math.min(...points.map(p => p.normalizedDay));
-    const maxX = Math.max(...points.map(p => p.normalizedDay));
+    updatePhasePanel();
+    updateSubjectTree();
+    drawChart();
+    scheduleAutosave();
+    updateStats();
+    updatePatternsPanel();
+}
 
-    // Extend line slightly beyond data but within visible pan range
-    const extendDays = Math.min(3, xMax * 0.1);
-    const startX = Math.max(panOffset, minX - extendDays);
-    const endX = Math.min(panOffset + xMax, maxX + extendDays);
+// Fill a data set <select>, keeping its current choice; returns the selected id
+function fillDataSetSelect(select) {
+    const dataSets = Object.values(state.dataSets);
+    const selectedId = state.dataSets[select.value] ? select.value : (state.activeDataSets[0] || dataSets[0]?.id || '');
 
-    const startY = Math.pow(10, intercept + slope * startX);
-    const endY = Math.pow(10, intercept + slope * endX);
+    select.innerHTML = dataSets.length === 0 ?
+        '<option value="">No data loaded</option>' :
+        dataSets.map(ds => `
+            <option value="${ds.id}" ${ds.id === selectedId ? 'selected' : ''}>
+                ${escapeHtml(ds.student.name)} — ${escapeHtml(ds.subject.subcategory)}
+            </option>
+        `).join('');
 
-    ctx.beginPath();
-    ctx.moveTo(dayToX(startX), valueToY(startY, chartHeight));
-    ctx.lineTo(dayToX(endX), valueToY(endY, chartHeight));
-    ctx.stroke();
+    return selectedId;
+}
 
-    ctx.setLineDash([]);
-    ctx.globalAlpha = 1;
+function updatePhasePanel() {
+    const list = document.getElementById('phaseList');
+    const selectedId = fillDataSetSelect(document.getElementById('phaseDataSet'));
 
-    // Draw celeration label on the chart
-    if (isFinite(weeklyCeleration) && !isNaN(weeklyCeleration)) {
-        const celerationLabel = formatCeleration(weeklyCeleration);
+    const dataSet = state.dataSets[selectedId];
+    const phases = dataSet?.phases || [];
 
-        // Position label at the end of the celeration line (within visible area)
-        const labelX = dayToX(endX);
-        const labelY = valueToY(endY, chartHeight);
+    if (phases.length === 0) {
+        list.innerHTML = '<p class="empty-state">No phase changes</p>';
+        return;
+    }
 
-        // Draw label background
-        ctx.font = "600 11px 'IBM Plex Mono', monospace";
-        const textWidth = ctx.measureText(celerationLabel).width;
-        const padding = 4;
+    list.innerHTML = phases.map(phase => `
+        <div class="phase-item">
+            <span class="phase-date">${escapeHtml(phase.date)}</span>
+            <span class="phase-label">${escapeHtml(phase.label) || '—'}</span>
+            <button class="remove-btn" title="Remove" onclick="removePhase('${dataSet.id}', '${phase.id}')">&times;</button>
+        </div>
+    `).join('');
+}
 
-        ctx.fillStyle = CONFIG.colors.inkNavy;
-        ctx.fillRect(
-            labelX + 5,
-            labelY - 8,
-            textWidth + padding * 2,
-            16
-        );
+window.removePhase = removePhase;
+
+// ===== Aims =====
+// Aims are stored on the data set as
+//   { id, type: 'star', metric, calendarDay, date, frequency }
+//   { id, type: 'band', metric, calendarDay, date, min, max }
+//   { id, type: 'line', metric, calendarDay, date, frequency, celeration }
+// A celeration aim line starts at (date, frequency) and grows by its
+// celeration every week.
+function aimLineValue(aim, calendarDay) {
+    return aim.frequency * Math.pow(aim.celeration, (calendarDay - aim.calendarDay) / 7);
+}
 
-        // Draw label border (brass accent)
-        ctx.strokeStyle = CONFIG.colors.brass;
-        ctx.lineWidth = 1.5;
-        ctx.strokeRect(
-            labelX + 5,
-            labelY - 8,
-            textWidth + padding * 2,
-            16
-        );
+function describeAim(aim) {
+    const metric = getMetricLabel(aim.metric);
+    if (aim.type === 'band') return `${metric} ${aim.min}–${aim.max}`;
+    if (aim.type === 'line') return `${metric} ${formatCeleration(aim.celeration)}`;
+    return `${metric} ${aim.frequency} by ${aim.date}`;
+}
 
-        // Draw label text
-        ctx.fillStyle = CONFIG.colors.paperCream;
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(celerationLabel, labelX + 5 + padding, labelY);
+// Compare the learner's current progress against an aim.
+// Errors are aims to go down, so "on track" flips for errors/min.
+function evaluateAim(aim, student) {
+    const lowerIsBetter = aim.metric === 'errorsPerMinute';
+    const meets = (actual, target) => lowerIsBetter ? actual <= target : actual >= target;
 
-        // Draw x2 target indicator for correct metrics
-        if (metric === 'correctPerMinute') {
-            const targetLabel = '(goal: x2.0)';
-            ctx.font = "500 9px 'IBM Plex Mono', monospace";
-            ctx.fillStyle = CONFIG.colors.brass;
-            ctx.fillText(targetLabel, labelX + 5 + padding, labelY + 12);
-        }
+    const points = getDataPoints(student, aim.metric).filter(p => p.value > 0);
+    if (points.length === 0) {
+        return { onTrack: false, detail: 'No data yet' };
     }
-}
+    const latest = points[points.length - 1];
 
-// ===== Coordinate Transformations =====
-function valueToY(value, chartHeight) {
-    const { yMin, yMax } = CONFIG;
+    if (aim.type === 'band') {
+        const target = lowerIsBetter ? aim.max : aim.min;
+        return {
+            onTrack: meets(latest.value, target),
+            detail: `Latest ${latest.value.toFixed(2)} vs band ${aim.min}–${aim.max}`
+        };
+    }
 
-    // Clamp value to valid range
-    value = Math.max(yMin, Math.min(yMax, value));
+    if (aim.type === 'line') {
+        const target = aimLineValue(aim, latest.day);
+        return {
+            onTrack: meets(latest.value, target),
+            detail: `Latest ${latest.value.toFixed(2)} vs aim line ${target.toFixed(2)}`
+        };
+    }
 
-    // Logarithmic transformation
-    const logMin = Math.log10(yMin);
-    const logMax = Math.log10(yMax);
-    const logValue = Math.log10(value);
+    // Aim star: project the current phase's celeration line to the aim date
+    const fit = getCurrentPhaseFit(points, getStudentDataSet(student)?.phases);
+    if (!fit) {
+        return { onTrack: meets(latest.value, aim.frequency), detail: 'Too few timings to project' };
+    }
 
-    // Invert Y (0 at bottom)
-    const normalized = (logValue - logMin) / (logMax - logMin);
-    return chartHeight * (1 - normalized);
+    const projected = Math.pow(10, fit.intercept + fit.slope * aim.calendarDay);
+    return {
+        onTrack: isFinite(projected) && meets(projected, aim.frequency),
+        detail: `Projected ${isFinite(projected) ? projected.toFixed(2) : 'N/A'} by ${aim.date}`
+    };
 }
 
-function yToValue(y, chartHeight) {
-    const { yMin, yMax } = CONFIG;
+function addAim(dataSetId, aim) {
+    const dataSet = state.dataSets[dataSetId];
+    if (!dataSet) return;
 
-    const logMin = Math.log10(yMin);
-    const logMax = Math.log10(yMax);
+    const calendarDay = dateToCalendarDay(dataSet, aim.date);
+    if (calendarDay === null || isNaN(calendarDay)) {
+        alert('Could not place the aim: this data set has no dated timings.');
+        return;
+    }
 
-    const normalized = 1 - (y / chartHeight);
-    const logValue = logMin + normalized * (logMax - logMin);
+    dataSet.aims = dataSet.aims || [];
+    dataSet.aims.push({
+        id: `aim-${Date.now()}`,
+        ...aim,
+        calendarDay
+    });
 
-    return Math.pow(10, logValue);
+    updateAimPanel();
+    drawChart();
+    scheduleAutosave();
+    updateStats();
+    updatePatternsPanel();
 }
 
-// ===== Celeration Calculations =====
-function calculateCeleration(dataPoints) {
-    if (dataPoints.length < 2) return 1;
+function removeAim(dataSetId, aimId) {
+    const dataSet = state.dataSets[dataSetId];
+    if (!dataSet || !dataSet.aims) return;
 
-    // Filter out zero values
-    const validPoints = dataPoints.filter(p => p.value > 0);
-    if (validPoints.length < 2) return 1;
+    dataSet.aims = dataSet.aims.filter(a => a.id !== aimId);
 
-    // Log-linear regression
-    const logPoints = validPoints.map(p => ({
-        x: p.day,
-        y: Math.log10(p.value)
-    }));
+    updateAimPanel();
+    drawChart();
+    scheduleAutosave();
+    updateStats();
+    updatePatternsPanel();
+}
 
-    const n = logPoints.length;
-    const sumX = logPoints.reduce((sum, p) => sum + p.x, 0);
-    const sumY = logPoints.reduce((sum, p) => sum + p.y, 0);
-    const sumXY = logPoints.reduce((sum, p) => sum + p.x * p.y, 0);
-    const sumX2 = logPoints.reduce((sum, p) => sum + p.x * p.x, 0);
+// Read the aim form into an aim object, or return an error message
+function readAimForm() {
+    const type = document.getElementById('aimType').value;
+    const number = (id) => parseFloat(document.getElementById(id).value);
+    const aim = {
+        type,
+        metric: document.getElementById('aimMetric').value,
+        date: document.getElementById('aimDate').value
+    };
 
-    const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
+    if (!aim.date) return 'Choose a date for the aim.';
 
-    // Convert daily slope to weekly celeration
-    const weeklyCeleration = Math.pow(10, slope * 7);
+    if (type === 'band') {
+        aim.min = number('aimMin');
+        aim.max = number('aimMax');
+        if (!(aim.min > 0) || !(aim.max > aim.min)) return 'An aim band needs a minimum and a larger maximum frequency.';
+    } else {
+        aim.frequency = number('aimFrequency');
+        if (!(aim.frequency > 0)) return 'Enter a frequency above zero.';
+    }
+
+    if (type === 'line') {
+        aim.celeration = number('aimCeleration');
+        if (!(aim.celeration > 0)) return 'Enter a weekly celeration, e.g. 1.25.';
+    }
 
-    return weeklyCeleration;
+    return aim;
 }
 
-function formatCeleration(value) {
-    if (!isFinite(value) || isNaN(value)) return 'N/A';
+function updateAimForm() {
+    const type = document.getElementById('aimType').value;
+    document.querySelectorAll('[data-aim-types]').forEach(field => {
+        field.hidden = !field.dataset.aimTypes.split(' ').includes(type);
+    });
+}
+
+function updateAimPanel() {
+    const list = document.getElementById('aimList');
+    const selectedId = fillDataSetSelect(document.getElementById('aimDataSet'));
+
+    const dataSet = state.dataSets[selectedId];
+    const aims = dataSet?.aims || [];
 
-    if (value >= 1) {
-        return `x${value.toFixed(2)}`;
-    } else {
-        return `/${(1/value).toFixed(2)}`;
+    if (aims.length === 0) {
+        list.innerHTML = '<p class="empty-state">No aims set</p>';
+        return;
     }
-}
 
-// ===== Mouse Interaction =====
-function handleMouseMove(e) {
-    // Don't show tooltips while dragging
-    if (state.isDragging) return;
+    list.innerHTML = aims.map(aim => `
+        <div class="phase-item aim-item">
+            <span class="phase-date">${aim.type}</span>
+            <span class="phase-label">${escapeHtml(describeAim(aim))}</span>
+            <button class="remove-btn" title="Remove" onclick="removeAim('${dataSet.id}', '${aim.id}')">&times;</button>
+        </div>
+    `).join('');
+}
 
-    const rect = state.canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left - CONFIG.margin.left;
-    const y = e.clientY - rect.top - CONFIG.margin.top;
+window.removeAim = removeAim;
 
-    const chartWidth = state.canvas.clientWidth - CONFIG.margin.left - CONFIG.margin.right;
-    const chartHeight = state.canvas.clientHeight - CONFIG.margin.top - CONFIG.margin.bottom;
+// ===== Mouse Interaction =====
+// Nearest plotted point within 20px of (x, y), relative to the plot's top left
+function findClosestPoint(x, y, layout) {
+    const { chartWidth, chartHeight, panel } = layout;
     const xMax = state.zoom;
     const panOffset = state.panOffset;
+    // y of the linear panel's top, relative to the SCC's top
+    const panelOffset = panel ? panel.top - layout.top : 0;
+    const inChart = y >= 0 && y <= chartHeight;
+    const inPanel = panel && y >= panelOffset && y <= panelOffset + panel.height;
 
     // Check if within chart area
-    if (x < 0 || x > chartWidth || y < 0 || y > chartHeight) {
-        document.getElementById('tooltip').classList.remove('visible');
-        return;
-    }
+    if (x < 0 || x > chartWidth || (!inChart && !inPanel)) return null;
 
-    // Find closest point
     let closestPoint = null;
     let closestDist = Infinity;
 
@@ -1376,18 +5437,21 @@ function handleMouseMove(e) {
         if (!student) return;
 
         state.activeMetrics.forEach(metric => {
-            const dataPoints = getDataPoints(student, metric);
-            const minDay = dataPoints.length > 0 ? Math.min(...dataPoints.map(p => p.day)) : 0;
+            const linear = isLinearMetric(metric);
+            if (linear ? !inPanel : !inChart) return;
 
-            dataPoints.forEach(point => {
-                if (point.value <= 0) return;
+            const dataPoints = getChartPoints(student, metric);
+            const minDay = getChartOrigin(student);
 
+            dataPoints.forEach(point => {
                 const normalizedDay = point.day - minDay;
                 // Check if point is within visible pan range
                 if (normalizedDay < panOffset || normalizedDay > panOffset + xMax) return;
 
-                const px = ((normalizedDay - panOffset) / xMax) * chartWidth;
-                const py = valueToY(point.value, chartHeight);
+                const px = chartDayToX(normalizedDay, chartWidth);
+                const py = linear ?
+                    panelOffset + linearValueToY(point.value, metric, panel.height) :
+                    pointToY(point, chartHeight);
 
                 const dist = Math.sqrt((x - px) ** 2 + (y - py) ** 2);
 
@@ -1405,23 +5469,56 @@ function handleMouseMove(e) {
         });
     });
 
+    return closestPoint;
+}
+
+function handleMouseMove(e) {
+    // Don't show tooltips while dragging
+    if (state.isDragging) return;
+
+    const rect = state.canvas.getBoundingClientRect();
+    const layout = getChartLayout();
+    const x = e.clientX - rect.left - layout.left;
+    const y = e.clientY - rect.top - layout.top;
+
+    const { chartWidth, errorPanel } = layout;
+    if (errorPanel && x >= 0 && x <= chartWidth &&
+        y >= errorPanel.top - layout.top && y <= errorPanel.top - layout.top + errorPanel.height) {
+        showCompositionTooltip(x, layout);
+        return;
+    }
+
+    const closestPoint = findClosestPoint(x, y, layout);
     const tooltip = document.getElementById('tooltip');
 
     if (closestPoint) {
         tooltip.innerHTML = `
-            <div class="tooltip-title">${escapeHtml(closestPoint.student.name)}</div>
+            <div class="tooltip-title">${escapeHtml(getSeriesName(closestPoint.student))}</div>
             <div class="tooltip-row">
                 <span>Date</span>
                 <span class="value">${closestPoint.point.date}</span>
             </div>
+            ${closestPoint.point.period ? `
+            <div class="tooltip-row">
+                <span>${closestPoint.point.period}</span>
+                <span class="value">${closestPoint.point.timings} timing${closestPoint.point.timings === 1 ? '' : 's'}</span>
+            </div>
+            ` : `
             <div class="tooltip-row">
                 <span>Day</span>
                 <span class="value">${closestPoint.point.day}</span>
             </div>
+            `}
             <div class="tooltip-row">
-                <span>${getMetricLabel(closestPoint.metric)}</span>
+                <span>${getChartPointLabel(closestPoint.metric)}</span>
                 <span class="value">${closestPoint.point.value.toFixed(2)}</span>
             </div>
+            ${closestPoint.point.sameDay && !closestPoint.point.period ? `
+            <div class="tooltip-row">
+                <span>${SAME_DAY_MODES[closestPoint.point.sameDay]}</span>
+                <span class="value">of ${closestPoint.point.timings} timing${closestPoint.point.timings === 1 ? '' : 's'}</span>
+            </div>
+            ` : ''}
             ${closestPoint.point.countingTimeMin ? `
             <div class="tooltip-row">
                 <span>Timing</span>
@@ -1430,14 +5527,109 @@ function handleMouseMove(e) {
             ` : ''}
         `;
 
-        tooltip.style.left = (closestPoint.x + CONFIG.margin.left + 15) + 'px';
-        tooltip.style.top = (closestPoint.y + CONFIG.margin.top - 10) + 'px';
+        tooltip.style.left = (closestPoint.x + layout.left + 15) + 'px';
+        tooltip.style.top = (closestPoint.y + layout.top - 10) + 'px';
         tooltip.classList.add('visible');
     } else {
         tooltip.classList.remove('visible');
     }
 }
 
+// ===== Assessment Detail =====
+// Clicking a point opens the full assessment behind it in a side drawer, with
+// links to the timings before and after it in the same data set
+const DETAIL_SECTIONS = ['celeration', 'performance', 'prosody', 'errors'];
+
+function handleChartClick(e) {
+    if (e.shiftKey || Math.abs(e.clientX - (state.pointerDownX ?? e.clientX)) > 3) return;
+
+    const rect = state.canvas.getBoundingClientRect();
+    const layout = getChartLayout();
+    const closestPoint = findClosestPoint(e.clientX - rect.left - layout.left, e.clientY - rect.top - layout.top, layout);
+    if (!closestPoint) return;
+
+    const dataSet = getStudentDataSet(closestPoint.student);
+    if (!dataSet) return;
+
+    document.getElementById('tooltip').classList.remove('visible');
+    showAssessmentDetail(dataSet.id, getDataSetTimings(dataSet).indexOf(closestPoint.point.assessment));
+}
+
+// A data set's timings in the order they were taken
+function getDataSetTimings(dataSet) {
+    return dataSet.assessments
+        .filter(a => a.celeration)
+        .sort((a, b) => (a.celeration.calendarDay - b.celeration.calendarDay) ||
+            ((a.celeration.timestamp || 0) - (b.celeration.timestamp || 0)));
+}
+
+function showAssessmentDetail(dataSetId, index) {
+    const dataSet = state.dataSets[dataSetId];
+    const timings = dataSet ? getDataSetTimings(dataSet) : [];
+    const assessment = timings[index];
+    if (!assessment) return;
+
+    const navButton = (target, label) => `
+        <button class="btn btn-small" ${timings[target] ? `onclick="showAssessmentDetail('${dataSet.id}', ${target})"` : 'disabled'}>
+            ${label}
+        </button>
+    `;
+
+    const sections = DETAIL_SECTIONS.map(key => {
+        const fields = Object.entries(assessment[key] || {});
+        return `
+            <h3 class="detail-heading">${capitalize(key)}</h3>
+            ${fields.length === 0 ? '<p class="empty-state">Not recorded</p>' : fields.map(([field, value]) => `
+                <div class="stat-row">
+                    <span class="stat-label">${escapeHtml(formatFieldName(field))}</span>
+                    <span class="stat-value">${escapeHtml(formatDetailValue(field, value))}</span>
+                </div>
+            `).join('')}
+        `;
+    }).join('');
+
+    const words = (assessment.wordList || []).map(word => typeof word === 'string' ? word : (word.word ?? word.text ?? ''));
+
+    document.getElementById('modalTitle').textContent = dataSet.student.name;
+    document.getElementById('modalBody').innerHTML = `
+        <p class="detail-subtitle">
+            ${escapeHtml(dataSet.subject.subcategory)} · ${escapeHtml(assessment.celeration.date || '')} ·
+            Timing ${index + 1} of ${timings.length}
+        </p>
+        <div class="detail-nav">
+            ${navButton(index - 1, '&larr; Previous')}
+            ${navButton(index + 1, 'Next &rarr;')}
+        </div>
+        ${assessment.assessmentId ? `<p class="detail-id">${escapeHtml(String(assessment.assessmentId))}</p>` : ''}
+        ${sections}
+        <h3 class="detail-heading">Word List</h3>
+        ${words.length === 0 ? '<p class="empty-state">No word list</p>' : `
+            <p class="detail-words">${escapeHtml(words.join(' '))}</p>
+        `}
+    `;
+    document.getElementById('infoModal').hidden = false;
+}
+
+function closeAssessmentDetail() {
+    document.getElementById('infoModal').hidden = true;
+}
+
+// countingTimeSec -> Counting Time Sec
+function formatFieldName(field) {
+    if (field === 'wpm') return 'WPM';
+    return capitalize(field.replace(/([A-Z])/g, ' $1'));
+}
+
+function formatDetailValue(field, value) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'timestamp' && typeof value === 'number') return new Date(value).toLocaleString();
+    if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(2);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+window.showAssessmentDetail = showAssessmentDetail;
+
 // ===== Utilities =====
 function escapeHtml(str) {
     if (!str) return '';
@@ -1450,97 +5642,661 @@ function escapeHtml(str) {
     }[char]));
 }
 
-// ===== Pattern Detection =====
-function detectPatterns() {
-    const patterns = [];
+// ===== Learning Pictures =====
+// Reading correct and error celeration together, fitted per period of the
+// chart type like the celeration lines. A line within ×1.05 per week of flat
+// (scaled to the period) counts as flat.
+const FLAT_CELERATION = 1.05;
+
+const LEARNING_PICTURES = {
+    jawsOpening: { label: 'Jaws opening', tone: 'positive' },
+    jawsClosing: { label: 'Jaws closing', tone: 'negative' },
+    improvingCrossover: { label: 'Improving crossover', tone: 'positive' },
+    deterioratingCrossover: { label: 'Deteriorating crossover', tone: 'negative' },
+    bothUp: { label: 'Both up', tone: 'neutral' },
+    bothDown: { label: 'Both down', tone: 'neutral' },
+    bothFlat: { label: 'Both flat', tone: 'neutral' },
+    correctUp: { label: 'Correct up, errors flat', tone: 'positive' },
+    correctDown: { label: 'Correct down, errors flat', tone: 'negative' },
+    errorsUp: { label: 'Errors up, correct flat', tone: 'negative' },
+    errorsDown: { label: 'Errors down, correct flat', tone: 'positive' },
+    // Fewer than two timings with errors: no error line to read, only the correct one
+    correctUpErrorFree: { label: 'Correct up, errors near zero', tone: 'positive' },
+    correctDownErrorFree: { label: 'Correct down, errors near zero', tone: 'negative' },
+    correctFlatErrorFree: { label: 'Correct flat, errors near zero', tone: 'neutral' }
+};
 
-    state.activeStudents.forEach(studentId => {
+function celerationDirection(celeration, flat = FLAT_CELERATION) {
+    if (celeration > flat) return 'up';
+    if (celeration < 1 / flat) return 'down';
+    return 'flat';
+}
+
+// Classify one stretch of correct and error timings. Returns null when correct
+// has fewer than two non-zero timings. With fewer than two non-zero error
+// timings (a student making few or no errors) only correct is read, and there is no AIM.
+function classifyLearningPicture(correctPoints, errorPoints, periodDays = 7) {
+    const correct = correctPoints.filter(p => p.value > 0);
+    const errors = errorPoints.filter(p => p.value > 0);
+    if (correct.length < 2) return null;
+
+    const correctFit = fitCeleration(correct, undefined, 'day', periodDays);
+    const flat = Math.pow(FLAT_CELERATION, periodDays / 7);
+    if (!isFinite(correctFit.slope)) return null;
+
+    if (errors.length < 2) {
+        const direction = celerationDirection(correctFit.celeration, flat);
+        const picture = `correct${capitalize(direction)}ErrorFree`;
+        return {
+            picture,
+            ...LEARNING_PICTURES[picture],
+            directions: { correct: direction, errors: 'flat' },
+            correctCeleration: correctFit.celeration,
+            errorCeleration: NaN,
+            accuracyImprovement: NaN
+        };
+    }
+
+    const errorFit = fitCeleration(errors, undefined, 'day', periodDays);
+    if (!isFinite(errorFit.slope)) return null;
+
+    // Accuracy Improvement Measure: correct celeration ÷ error celeration
+    const accuracyImprovement = correctFit.celeration / errorFit.celeration;
+
+    // Crossovers: the fitted lines swap order between the first and last timing
+    const days = [...correct, ...errors].map(p => p.day);
+    const firstDay = Math.min(...days);
+    const lastDay = Math.max(...days);
+    const gapAt = (day) => (correctFit.intercept + correctFit.slope * day) - (errorFit.intercept + errorFit.slope * day);
+
+    const directions = {
+        correct: celerationDirection(correctFit.celeration, flat),
+        errors: celerationDirection(errorFit.celeration, flat)
+    };
+    let picture;
+
+    if (gapAt(firstDay) < 0 && gapAt(lastDay) > 0) {
+        picture = 'improvingCrossover';
+    } else if (gapAt(firstDay) > 0 && gapAt(lastDay) < 0) {
+        picture = 'deterioratingCrossover';
+    } else {
+        picture = {
+            'up/down': 'jawsOpening',
+            'down/up': 'jawsClosing',
+            'up/up': 'bothUp',
+            'down/down': 'bothDown',
+            'flat/flat': 'bothFlat',
+            'up/flat': 'correctUp',
+            'down/flat': 'correctDown',
+            'flat/up': 'errorsUp',
+            'flat/down': 'errorsDown'
+        }[`${directions.correct}/${directions.errors}`];
+    }
+
+    return {
+        picture,
+        ...LEARNING_PICTURES[picture],
+        directions,
+        correctCeleration: correctFit.celeration,
+        errorCeleration: errorFit.celeration,
+        accuracyImprovement
+    };
+}
+
+// Learning picture for each phase of a data set (baseline first)
+function getLearningPictures(dataSet) {
+    const phases = dataSet.phases || [];
+    const correctSegments = splitIntoPhases(getChartPoints(dataSet, 'correctPerMinute'), phases);
+    const errorSegments = splitIntoPhases(getChartPoints(dataSet, 'errorsPerMinute'), phases);
+    const { celerationDays } = getChartType();
+
+    return correctSegments.map((segment, i) => ({
+        phase: segment.phase,
+        label: segment.phase ? (segment.phase.label || segment.phase.date) : 'Baseline',
+        result: classifyLearningPicture(segment.points, errorSegments[i].points, celerationDays)
+    }));
+}
+
+// Picture for the most recent phase that has enough data to classify
+function getCurrentLearningPicture(dataSet) {
+    const classified = getLearningPictures(dataSet).filter(p => p.result);
+    return classified.length > 0 ? classified[classified.length - 1].result : null;
+}
+
+function learningPictureArrows(result) {
+    const arrows = { up: '↑', down: '↓', flat: '→' };
+    return `${arrows[result.directions.correct]}${arrows[result.directions.errors]}`;
+}
+
+function renderLearningPictures() {
+    return state.activeStudents.map(studentId => {
         const student = state.students.find(s => s.id === studentId);
-        if (!student || !student.assessments) return;
+        const dataSet = student && getStudentDataSet(student);
+        if (!dataSet) return '';
 
-        // Get correct per minute data sorted by day
-        const correctData = student.assessments
-            .filter(a => a.celeration && a.celeration.correctPerMinute > 0)
-            .map(a => ({
-                day: a.celeration.calendarDay,
-                value: a.celeration.correctPerMinute,
-                date: a.celeration.date
-            }))
-            .sort((a, b) => a.day - b.day);
+        const pictures = getLearningPictures(dataSet).filter(p => p.result);
+        const showPhaseLabels = (dataSet.phases || []).length > 0;
+
+        if (pictures.length === 0) {
+            return `
+            <div class="learning-picture">
+                <span class="pattern-text">
+                    <strong>${escapeHtml(getSeriesName(student))}</strong>:
+                    no learning picture yet — it needs at least two timings with a correct count above zero
+                </span>
+            </div>
+            `;
+        }
+
+        return pictures.map(({ label, result }) => `
+            <div class="learning-picture ${result.tone}">
+                <span class="picture-arrows">${learningPictureArrows(result)}</span>
+                <span class="pattern-text">
+                    <strong>${escapeHtml(getSeriesName(student))}</strong>${showPhaseLabels ? ` · ${escapeHtml(label)}` : ''}:
+                    ${result.label}
+                    ${isFinite(result.accuracyImprovement) ? `
+                    <span class="pattern-days">AIM ${formatCeleration(result.accuracyImprovement)} / ${getChartType().celerationUnit}</span>
+                    ` : ''}
+                </span>
+            </div>
+        `).join('');
+    }).join('');
+}
+
+// ===== Decision Rules =====
+// A rule is { id, type, params, severity, action, enabled }. Each rule type
+// looks at one data set and returns null or a finding
+// { message, startDay, endDay }. Rules are saved with the workspace; rules
+// from before that were kept in localStorage and are picked up once.
+const LEGACY_RULE_STORAGE_KEY = 'scc-decision-rules';
+
+const RULE_TYPES = {
+    belowAim: {
+        label: 'Timings below the aim line',
+        params: { count: { label: 'In a row', value: 3 } },
+        evaluate: evaluateBelowAimRule
+    },
+    lowCeleration: {
+        label: 'Correct celeration under threshold',
+        params: { threshold: { label: 'Celeration / week', value: 1.0 }, days: { label: 'Last days', value: 14 } },
+        evaluate: evaluateLowCelerationRule
+    },
+    errorCeleration: {
+        label: 'Error celeration above threshold',
+        params: { threshold: { label: 'Celeration / week', value: 1.0 }, days: { label: 'Last days', value: 14 } },
+        evaluate: evaluateErrorCelerationRule
+    },
+    noData: {
+        label: 'No timings recently',
+        params: { days: { label: 'Days', value: 7 } },
+        evaluate: evaluateNoDataRule
+    },
+    consecutiveDeclines: {
+        label: 'Consecutive declines in correct/min',
+        params: { count: { label: 'In a row', value: 3 } },
+        evaluate: evaluateConsecutiveDeclinesRule
+    }
+};
+
+const DEFAULT_RULES = [
+    { id: 'rule-below-aim', type: 'belowAim', params: { count: 3 }, severity: 'critical', action: 'Change the intervention', enabled: true },
+    { id: 'rule-low-celeration', type: 'lowCeleration', params: { threshold: 1.0, days: 14 }, severity: 'warning', action: 'Review the practice procedure', enabled: true },
+    { id: 'rule-error-celeration', type: 'errorCeleration', params: { threshold: 1.0, days: 14 }, severity: 'warning', action: 'Add error correction', enabled: true },
+    { id: 'rule-no-data', type: 'noData', params: { days: 7 }, severity: 'info', action: 'Schedule a timing', enabled: true }
+];
+
+const SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 };
+
+function getDefaultRules() {
+    return DEFAULT_RULES.map(rule => ({ ...rule, params: { ...rule.params } }));
+}
+
+// Rules of a workspace snapshot, or the browser's older rules for snapshots saved without any
+function loadRules(saved) {
+    if (!Array.isArray(saved)) {
+        try {
+            saved = JSON.parse(localStorage.getItem(LEGACY_RULE_STORAGE_KEY));
+        } catch (err) {
+            console.error('Error loading decision rules:', err);
+        }
+    }
+    if (Array.isArray(saved)) {
+        return saved.filter(rule => rule && RULE_TYPES[rule.type]);
+    }
+    return getDefaultRules();
+}
 
-        // Detect consecutive declines
-        const declinePatterns = detectConsecutiveDeclines(correctData, student.name);
-        patterns.push(...declinePatterns);
+function renderRuleTypeOptions() {
+    document.getElementById('newRuleType').innerHTML = Object.entries(RULE_TYPES)
+        .map(([type, ruleType]) => `<option value="${type}">${escapeHtml(ruleType.label)}</option>`)
+        .join('');
+}
+
+// Timings of the current phase that fall within the last `days` days
+function getRecentPhasePoints(dataSet, metric, days) {
+    const points = getDataPoints(dataSet, metric).filter(p => p.value > 0);
+    const segments = splitIntoPhases(points, dataSet.phases || []);
+    const current = segments[segments.length - 1].points;
+    if (current.length === 0) return [];
+
+    const lastDay = current[current.length - 1].day;
+    return current.filter(p => p.day >= lastDay - days);
+}
+
+function evaluateBelowAimRule(dataSet, params) {
+    const aims = (dataSet.aims || []).filter(aim => aim.type === 'line' || aim.type === 'band');
+    let finding = null;
+
+    aims.forEach(aim => {
+        const lowerIsBetter = aim.metric === 'errorsPerMinute';
+        const points = getDataPoints(dataSet, aim.metric).filter(p => p.day >= aim.calendarDay);
+        const target = (day) => aim.type === 'line' ? aimLineValue(aim, day) : (lowerIsBetter ? aim.max : aim.min);
+        const misses = (p) => lowerIsBetter ? p.value > target(p.day) : p.value < target(p.day);
+
+        // Count the most recent run of timings that miss the aim
+        let run = 0;
+        for (let i = points.length - 1; i >= 0 && misses(points[i]); i--) run++;
+
+        if (run >= params.count && (!finding || run > finding.run)) {
+            finding = {
+                run,
+                message: `${run} ${getMetricLabel(aim.metric)} timings in a row ${lowerIsBetter ? 'above' : 'below'} the aim`,
+                startDay: points[points.length - run].day,
+                endDay: points[points.length - 1].day
+            };
+        }
     });
 
-    return patterns;
+    return finding;
 }
 
-function detectConsecutiveDeclines(dataPoints, studentName) {
-    const patterns = [];
-    if (dataPoints.length < 2) return patterns;
+function evaluateLowCelerationRule(dataSet, params) {
+    const points = getRecentPhasePoints(dataSet, 'correctPerMinute', params.days);
+    if (points.length < 3) return null;
 
-    let consecutiveDeclines = 0;
-    let declineStartDay = null;
-    let declineEndDay = null;
+    const celeration = fitCeleration(points).celeration;
+    if (!isFinite(celeration) || celeration >= params.threshold) return null;
 
-    for (let i = 1; i < dataPoints.length; i++) {
-        const prevValue = dataPoints[i - 1].value;
-        const currValue = dataPoints[i].value;
+    return {
+        message: `Correct celeration ${formatCeleration(celeration)} per week over the last ${params.days} days`,
+        startDay: points[0].day,
+        endDay: points[points.length - 1].day
+    };
+}
 
-        if (currValue < prevValue) {
-            // Decline detected
-            if (consecutiveDeclines === 0) {
-                declineStartDay = dataPoints[i - 1].day;
-            }
-            consecutiveDeclines++;
-            declineEndDay = dataPoints[i].day;
+function evaluateErrorCelerationRule(dataSet, params) {
+    const points = getRecentPhasePoints(dataSet, 'errorsPerMinute', params.days);
+    if (points.length < 3) return null;
+
+    const celeration = fitCeleration(points).celeration;
+    if (!isFinite(celeration) || celeration <= params.threshold) return null;
+
+    return {
+        message: `Error celeration ${formatCeleration(celeration)} per week over the last ${params.days} days`,
+        startDay: points[0].day,
+        endDay: points[points.length - 1].day
+    };
+}
+
+// Gaps are measured up to the latest timing in the workspace (or today, if sooner),
+// so a finished school year's data sets are not all flagged
+function evaluateNoDataRule(dataSet, params) {
+    const points = getDataPoints(dataSet, 'correctPerMinute').filter(p => p.date);
+    if (points.length === 0) return null;
+
+    const last = points[points.length - 1];
+    const daysSince = getDaysSinceTiming(last.date);
+    if (daysSince <= params.days) return null;
+
+    return {
+        message: `No timing for ${daysSince} days (last ${last.date})`,
+        startDay: last.day,
+        endDay: last.day
+    };
+}
+
+// Days from a timing to the latest timing loaded (or today, if that is earlier),
+// so old files are measured against their own data, not the calendar
+function getDaysSinceTiming(date) {
+    const msPerDay = 24 * 60 * 60 * 1000;
+    return Math.floor((Math.min(Date.now(), getLatestTimingTime()) - Date.parse(date)) / msPerDay);
+}
+
+function getLatestTimingTime() {
+    let latest = -Infinity;
+    Object.values(state.dataSets).forEach(dataSet => {
+        dataSet.assessments.forEach(a => {
+            const time = Date.parse(a.celeration?.date);
+            if (time > latest) latest = time;
+        });
+    });
+    return latest;
+}
+
+function evaluateConsecutiveDeclinesRule(dataSet, params) {
+    const points = getDataPoints(dataSet, 'correctPerMinute').filter(p => p.value > 0);
+
+    let run = 0;
+    for (let i = points.length - 1; i > 0 && points[i].value < points[i - 1].value; i--) run++;
+    if (run < params.count) return null;
+
+    return {
+        message: `${run} consecutive declines in Correct/Min`,
+        startDay: points[points.length - 1 - run].day,
+        endDay: points[points.length - 1].day
+    };
+}
+
+// Run every enabled rule against a data set
+function evaluateRules(dataSet, rules = state.rules) {
+    const alerts = [];
+
+    rules.filter(rule => rule.enabled).forEach(rule => {
+        const ruleType = RULE_TYPES[rule.type];
+        const params = {};
+        Object.entries(ruleType.params).forEach(([key, param]) => {
+            const value = parseFloat(rule.params?.[key]);
+            params[key] = isNaN(value) ? param.value : value;
+        });
+
+        const finding = ruleType.evaluate(dataSet, params);
+        if (finding) {
+            alerts.push({
+                ruleId: rule.id,
+                type: rule.type,
+                severity: rule.severity,
+                action: rule.action,
+                dataSetId: dataSet.id,
+                studentName: dataSet.student.name,
+                message: finding.message,
+                startDay: finding.startDay,
+                endDay: finding.endDay
+            });
+        }
+    });
+
+    return alerts;
+}
+
+function addRule(type) {
+    if (!RULE_TYPES[type]) return;
+
+    const params = {};
+    Object.entries(RULE_TYPES[type].params).forEach(([key, param]) => {
+        params[key] = param.value;
+    });
+
+    state.rules.push({
+        id: `rule-${Date.now()}`,
+        type,
+        params,
+        severity: 'warning',
+        action: '',
+        enabled: true
+    });
+    scheduleAutosave();
+    updateRulesEditor();
+    updatePatternsPanel();
+}
+
+function updateRule(ruleId, key, value) {
+    const rule = state.rules.find(r => r.id === ruleId);
+    if (!rule) return;
+
+    rule[key] = value;
+    scheduleAutosave();
+    updatePatternsPanel();
+}
+
+function updateRuleParam(ruleId, key, value) {
+    const rule = state.rules.find(r => r.id === ruleId);
+    if (!rule) return;
+
+    rule.params = { ...rule.params, [key]: parseFloat(value) };
+    scheduleAutosave();
+    updatePatternsPanel();
+}
+
+function removeRule(ruleId) {
+    state.rules = state.rules.filter(r => r.id !== ruleId);
+    scheduleAutosave();
+    updateRulesEditor();
+    updatePatternsPanel();
+}
+
+function resetRules() {
+    state.rules = getDefaultRules();
+    scheduleAutosave();
+    updateRulesEditor();
+    updatePatternsPanel();
+}
+
+function updateRulesEditor() {
+    const container = document.getElementById('rulesEditor');
+
+    if (state.rules.length === 0) {
+        container.innerHTML = '<p class="empty-state">No rules defined</p>';
+        return;
+    }
+
+    container.innerHTML = state.rules.map(rule => {
+        const ruleType = RULE_TYPES[rule.type];
+        const params = Object.entries(ruleType.params).map(([key, param]) => `
+            <label class="rule-param">
+                <span>${param.label}</span>
+                <input type="number" class="form-input" step="any" value="${rule.params?.[key] ?? param.value}"
+                       onchange="updateRuleParam('${rule.id}', '${key}', this.value)">
+            </label>
+        `).join('');
+
+        return `
+            <div class="rule-item ${rule.enabled ? '' : 'disabled'}">
+                <div class="rule-header">
+                    <input type="checkbox" ${rule.enabled ? 'checked' : ''}
+                           onchange="updateRule('${rule.id}', 'enabled', this.checked); this.closest('.rule-item').classList.toggle('disabled', !this.checked)">
+                    <span class="rule-label">${ruleType.label}</span>
+                    <button class="remove-btn" title="Remove" onclick="removeRule('${rule.id}')">&times;</button>
+                </div>
+                <div class="rule-params">
+                    ${params}
+                    <label class="rule-param">
+                        <span>Severity</span>
+                        <select class="form-input" onchange="updateRule('${rule.id}', 'severity', this.value)">
+                            ${Object.keys(SEVERITY_ORDER).map(severity => `
+                                <option value="${severity}" ${rule.severity === severity ? 'selected' : ''}>${severity}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                </div>
+                <input type="text" class="form-input" placeholder="Suggested action" value="${escapeHtml(rule.action)}"
+                       onchange="updateRule('${rule.id}', 'action', this.value)">
+            </div>
+        `;
+    }).join('');
+}
+
+window.updateRule = updateRule;
+window.updateRuleParam = updateRuleParam;
+window.removeRule = removeRule;
+
+// ===== Class Roster =====
+// Every loaded data set, whether or not it is on the chart
+const ROSTER_COLUMNS = [
+    { key: 'studentName', label: 'Student' },
+    { key: 'subject', label: 'Pinpoint' },
+    { key: 'latest', label: 'Latest Correct/Min' },
+    { key: 'celeration', label: 'Celeration / week' },
+    { key: 'picture', label: 'Learning Picture' },
+    { key: 'daysSince', label: 'Days Since Timing' },
+    { key: 'alerts', label: 'Alerts' }
+];
+
+function buildRosterRows() {
+    return Object.values(state.dataSets).map(dataSet => {
+        const points = getDataPoints(dataSet, 'correctPerMinute');
+        const last = points[points.length - 1];
+        const fit = getCurrentPhaseFit(points, dataSet.phases);
+        const alerts = evaluateRules(dataSet);
+
+        return {
+            dataSetId: dataSet.id,
+            studentName: dataSet.student.name,
+            subject: dataSet.subject.subcategory,
+            latest: last ? last.value : NaN,
+            celeration: fit ? fit.celeration : NaN,
+            picture: getCurrentLearningPicture(dataSet),
+            daysSince: last?.date ? getDaysSinceTiming(last.date) : NaN,
+            alerts,
+            // Lower rank sorts as more urgent
+            alertRank: alerts.length > 0 ?
+                Math.min(...alerts.map(alert => SEVERITY_ORDER[alert.severity])) - alerts.length / 100 :
+                Infinity
+        };
+    });
+}
+
+function sortRosterRows(rows) {
+    const { key, descending } = state.rosterSort;
+    const sortValue = (row) => {
+        if (key === 'picture') return row.picture ? row.picture.label : '';
+        // Most urgent first when descending
+        if (key === 'alerts') return -row.alertRank;
+        return row[key];
+    };
+
+    return rows.sort((a, b) => {
+        const va = sortValue(a);
+        const vb = sortValue(b);
+        let result;
+        if (typeof va === 'string') {
+            result = va.localeCompare(vb);
         } else {
-            // Decline streak ended - record if significant
-            if (consecutiveDeclines >= 2) {
-                patterns.push({
-                    type: 'decline',
-                    severity: consecutiveDeclines >= 3 ? 'critical' : 'warning',
-                    studentName: studentName,
-                    consecutiveDays: consecutiveDeclines,
-                    startDay: declineStartDay,
-                    endDay: declineEndDay,
-                    metric: 'Correct/Min'
-                });
-            }
-            consecutiveDeclines = 0;
-            declineStartDay = null;
+            // Missing values always sort last
+            if (!isFinite(va) && !isFinite(vb)) return 0;
+            if (!isFinite(va)) return 1;
+            if (!isFinite(vb)) return -1;
+            result = va - vb;
         }
+        return descending ? -result : result;
+    });
+}
+
+function sortRoster(key) {
+    if (state.rosterSort.key === key) {
+        state.rosterSort.descending = !state.rosterSort.descending;
+    } else {
+        state.rosterSort = { key, descending: key === 'alerts' || key === 'daysSince' };
     }
+    updateRoster();
+}
 
-    // Check if we ended with a decline streak
-    if (consecutiveDeclines >= 2) {
-        patterns.push({
-            type: 'decline',
-            severity: consecutiveDeclines >= 3 ? 'critical' : 'warning',
-            studentName: studentName,
-            consecutiveDays: consecutiveDeclines,
-            startDay: declineStartDay,
-            endDay: declineEndDay,
-            metric: 'Correct/Min'
-        });
+function updateRoster() {
+    const container = document.getElementById('rosterBody');
+    const rows = sortRosterRows(buildRosterRows());
+
+    if (rows.length === 0) {
+        container.innerHTML = '<p class="empty-state">No data loaded</p>';
+        return;
     }
 
+    const header = ROSTER_COLUMNS.map(column => {
+        const sorted = state.rosterSort.key === column.key;
+        const arrow = sorted ? (state.rosterSort.descending ? ' ▼' : ' ▲') : '';
+        return `<th class="${sorted ? 'sorted' : ''}" onclick="sortRoster('${column.key}')">${column.label}${arrow}</th>`;
+    }).join('');
+
+    const body = rows.map(row => {
+        const alerts = [...row.alerts].sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+        return `
+            <tr onclick="focusDataSet('${row.dataSetId}')">
+                <td>${escapeHtml(row.studentName)}</td>
+                <td>${escapeHtml(row.subject)}</td>
+                <td class="numeric">${isFinite(row.latest) ? row.latest.toFixed(1) : '—'}</td>
+                <td class="numeric ${row.celeration >= 1 ? 'positive' : 'negative'}">${formatCeleration(row.celeration)}</td>
+                <td>${row.picture ? `
+                    <span class="picture-badge ${row.picture.tone}">${learningPictureArrows(row.picture)}</span>
+                    ${row.picture.label}
+                ` : '—'}</td>
+                <td class="numeric">${isFinite(row.daysSince) ? row.daysSince : '—'}</td>
+                <td>${alerts.length > 0 ? alerts.map(alert => `
+                    <span class="roster-alert ${alert.severity}" title="${escapeHtml(alert.action)}">
+                        ${getSeverityIcon(alert.severity)} ${escapeHtml(alert.message)}
+                    </span>
+                `).join('') : '—'}</td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <table class="roster-table">
+            <thead><tr>${header}</tr></thead>
+            <tbody>${body}</tbody>
+        </table>
+    `;
+}
+
+function openRoster() {
+    updateRoster();
+    document.getElementById('rosterModal').hidden = false;
+}
+
+// Show only this data set (and its student) on the chart
+function focusDataSet(dataSetId) {
+    const dataSet = state.dataSets[dataSetId];
+    if (!dataSet) return;
+
+    Object.values(state.dataSets).forEach(ds => {
+        ds.active = ds.id === dataSetId;
+    });
+    state.activeDataSets = [dataSetId];
+    state.activeStudents = state.students.some(s => s.id === dataSetId) ? [dataSetId] : [];
+
+    document.getElementById('rosterModal').hidden = true;
+
+    updateSubjectTree();
+    updateStudentList();
+    updatePhasePanel();
+    updateAimPanel();
+    updateSameDayPanel();
+    drawChart();
+    scheduleAutosave();
+    updateStats();
+    updateLegend();
+    updatePatternsPanel();
+}
+
+window.sortRoster = sortRoster;
+window.focusDataSet = focusDataSet;
+
+// ===== Pattern Detection =====
+function detectPatterns() {
+    const patterns = [];
+
+    state.activeStudents.forEach(studentId => {
+        const student = state.students.find(s => s.id === studentId);
+        const dataSet = student && getStudentDataSet(student);
+        if (!dataSet) return;
+
+        patterns.push(...evaluateRules(dataSet));
+    });
+
     return patterns;
 }
 
 function updatePatternsPanel() {
     const panel = document.getElementById('patternsPanel');
-    const showDeclines = document.getElementById('showDeclinePatterns')?.checked ?? true;
+    const showAlerts = document.getElementById('showRuleAlerts')?.checked ?? true;
+    const showPictures = document.getElementById('showLearningPictures')?.checked ?? true;
 
-    if (!showDeclines || state.activeStudents.length === 0) {
+    if (state.activeStudents.length === 0) {
         panel.innerHTML = '<p class="empty-state">No patterns detected</p>';
         return;
     }
 
-    const patterns = detectPatterns();
+    const picturesHtml = showPictures ? renderLearningPictures() : '';
+    const patterns = showAlerts ? detectPatterns() : [];
 
-    if (patterns.length === 0) {
+    if (!picturesHtml.trim() && patterns.length === 0) {
         panel.innerHTML = '<p class="empty-state">No patterns detected</p>';
         return;
     }
@@ -1548,29 +6304,26 @@ function updatePatternsPanel() {
     // Sort patterns by severity (critical first) and then by end day (most recent first)
     patterns.sort((a, b) => {
         if (a.severity !== b.severity) {
-            return a.severity === 'critical' ? -1 : 1;
+            return SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity];
         }
         return b.endDay - a.endDay;
     });
 
-    panel.innerHTML = patterns.map(pattern => {
-        const icon = pattern.severity === 'critical' ? '⚠' : '↘';
-        const severityClass = pattern.severity;
+    panel.innerHTML = picturesHtml + patterns.map(pattern => `
+        <div class="pattern-alert ${pattern.severity}">
+            <span class="pattern-icon">${getSeverityIcon(pattern.severity)}</span>
+            <span class="pattern-text">
+                <strong>${escapeHtml(pattern.studentName)}</strong>:
+                ${escapeHtml(pattern.message)}
+                <span class="pattern-days">(Days ${pattern.startDay}-${pattern.endDay})</span>
+                ${pattern.action ? `<span class="pattern-action">→ ${escapeHtml(pattern.action)}</span>` : ''}
+            </span>
+        </div>
+    `).join('');
+}
 
-        if (pattern.type === 'decline') {
-            return `
-                <div class="pattern-alert ${severityClass}">
-                    <span class="pattern-icon">${icon}</span>
-                    <span class="pattern-text">
-                        <strong>${escapeHtml(pattern.studentName)}</strong>:
-                        ${pattern.consecutiveDays} consecutive declines in ${pattern.metric}
-                        <span class="pattern-days">(Days ${pattern.startDay}-${pattern.endDay})</span>
-                    </span>
-                </div>
-            `;
-        }
-        return '';
-    }).join('');
+function getSeverityIcon(severity) {
+    return { critical: '⚠', warning: '↘', info: '•' }[severity] || '•';
 }
 
 // Make pattern functions globally accessible